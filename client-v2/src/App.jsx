@@ -2,7 +2,7 @@ import React, { useEffect, useMemo, useState } from 'react';
 import { io } from 'socket.io-client';
 import { AnimatePresence, motion } from 'framer-motion';
 import clsx from 'clsx';
-import { formatDuration, formatTime, scoreLabel } from './lib';
+import { formatDuration, formatTime, getObservatoryToken, scoreLabel } from './lib';
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || '';
 
@@ -113,6 +113,31 @@ const TaskRow = ({ task }) => (
   </div>
 );
 
+const ProposalRow = ({ proposal, onDecide }) => (
+  <div className="rounded-xl border border-slate-800/60 bg-slate-950/40 px-3 py-3 space-y-2">
+    <div>
+      <p className="text-sm text-slate-100">{proposal.agentName} · {proposal.action.type}</p>
+      <p className="text-xs text-slate-500">
+        {proposal.action.filePath || proposal.action.taskId} · {proposal.gate} · {formatTime(proposal.createdAt)}
+      </p>
+    </div>
+    <div className="flex gap-2">
+      <button
+        onClick={() => onDecide(proposal.id, 'approve')}
+        className="rounded-lg bg-emerald-500/20 px-3 py-1 text-xs uppercase tracking-[0.2em] text-emerald-200 hover:bg-emerald-500/30"
+      >
+        Approve
+      </button>
+      <button
+        onClick={() => onDecide(proposal.id, 'reject')}
+        className="rounded-lg bg-rose-500/20 px-3 py-1 text-xs uppercase tracking-[0.2em] text-rose-200 hover:bg-rose-500/30"
+      >
+        Reject
+      </button>
+    </div>
+  </div>
+);
+
 const ComputeRow = ({ agent }) => {
   const r = agent.resources || {};
   return (
@@ -232,6 +257,7 @@ export default function App() {
   const [currentProject, setCurrentProject] = useState(null);
   const [activity, setActivity] = useState([]);
   const [chat, setChat] = useState([]);
+  const [proposals, setProposals] = useState([]);
   const [actionCount, setActionCount] = useState(0);
   const [activeFile, setActiveFile] = useState('');
   const [socketRef, setSocketRef] = useState(null);
@@ -245,7 +271,7 @@ export default function App() {
   }, []);
 
   useEffect(() => {
-    const socket = io(SOCKET_URL, { auth: { type: 'observatory' } });
+    const socket = io(SOCKET_URL, { auth: { type: 'observatory', token: getObservatoryToken() } });
     setSocketRef(socket);
 
     socket.on('connect', () => setConnected(true));
@@ -255,9 +281,21 @@ export default function App() {
       setAgents(data.agents || []);
       setProjects(data.projects || []);
       setLeaderboard(data.leaderboard || []);
+      setProposals(data.proposals || []);
       if (data.projects?.[0]) setCurrentProject(data.projects[0]);
     });
 
+    // Operators only: actions held by approval gates
+    socket.on('observatory:proposal', (proposal) => {
+      setProposals((prev) => [proposal, ...prev]);
+      pushActivity(`${proposal.agentName} is waiting for approval (${proposal.gate})`, 'proposal');
+    });
+
+    socket.on('observatory:proposal-decided', (proposal) => {
+      setProposals((prev) => prev.filter((p) => p.id !== proposal.id));
+      pushActivity(`Proposal from ${proposal.agentName} ${proposal.status}`, 'proposal');
+    });
+
     socket.on('observatory:agent-joined', (agent) => {
       setAgents((prev) => (prev.find((a) => a.id === agent.id) ? prev : [...prev, agent]));
       pushActivity(`${agent.displayName || agent.name} joined the hive`, 'join');
@@ -286,6 +324,7 @@ export default function App() {
       let message = `${data.agentName || 'Agent'} performed ${data.type}`;
       if (data.type === 'file:edit') message = `${data.agentName} edited ${data.filePath}`;
       if (data.type === 'file:create') message = `${data.agentName} created ${data.filePath}`;
+      if (data.patch) message += ` (+${data.patch.added} −${data.patch.removed})`;
       if (data.type === 'task:complete') message = `${data.agentName} completed "${data.taskTitle}"`;
       if (data.type === 'task:claim') message = `${data.agentName} claimed "${data.taskTitle}"`;
       pushActivity(message, data.type);
@@ -484,6 +523,17 @@ export default function App() {
           </section>
 
           <aside className="space-y-6">
+            {proposals.length > 0 && (
+              <div className="glass rounded-2xl p-5 space-y-4">
+                <SectionHeader title="Pending Approvals" subtitle="Agent actions held for review" />
+                <div className="space-y-3 max-h-72 overflow-y-auto scrollbar-hide">
+                  {proposals.map((proposal) => (
+                    <ProposalRow key={proposal.id} proposal={proposal} onDecide={decideProposal} />
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="glass rounded-2xl p-5 space-y-4">
               <SectionHeader title="Leaderboard" subtitle="Top contributors in real time" />
               <div className="space-y-3 max-h-72 overflow-y-auto scrollbar-hide">
@@ -541,6 +591,11 @@ export default function App() {
     socketRef.emit('observatory:broadcast', { message: text });
     setChat((prev) => [...prev, { from: 'observatory', message: text, timestamp: Date.now() }]);
   }
+
+  function decideProposal(proposalId, decision) {
+    if (!socketRef) return;
+    socketRef.emit('observatory:decide-proposal', { proposalId, decision });
+  }
 }
 
 function ChatComposer({ onSend, disabled }) {
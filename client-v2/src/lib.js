@@ -19,3 +19,10 @@ export const scoreLabel = (score) => {
   if (score > 60) return 'Initiate';
   return 'Scout';
 };
+
+// Operator token from ?token= (remembered for later visits)
+export const getObservatoryToken = () => {
+  const fromUrl = new URLSearchParams(window.location.search).get('token');
+  if (fromUrl) localStorage.setItem('hivemind:observatoryToken', fromUrl);
+  return fromUrl || localStorage.getItem('hivemind:observatoryToken') || undefined;
+};
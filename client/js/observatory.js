@@ -1,5 +1,9 @@
+// Operator token from ?token= (remembered for later visits)
+const observatoryToken = new URLSearchParams(location.search).get('token');
+if (observatoryToken) localStorage.setItem('hivemind:observatoryToken', observatoryToken);
+
 const socket = io({
-  auth: { type: 'observatory' }
+  auth: { type: 'observatory', token: observatoryToken || localStorage.getItem('hivemind:observatoryToken') || undefined }
 });
 
 let currentProject = null;
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * Lint - syntax-check every server, SDK, script and test file
+ * Runs `node --check` on each file and exits non-zero if any fails.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DIRS = ['server', 'sdk', 'scripts', 'test'];
+
+function jsFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return entry.name === 'node_modules' ? [] : jsFiles(full);
+    return entry.name.endsWith('.js') ? [full] : [];
+  });
+}
+
+let failed = 0;
+const files = DIRS.flatMap(dir => jsFiles(path.join(ROOT, dir)));
+for (const file of files) {
+  try {
+    execFileSync(process.execPath, ['--check', file], { stdio: 'pipe' });
+  } catch (err) {
+    failed++;
+    process.stderr.write(err.stderr.toString());
+  }
+}
+
+console.log(`${files.length - failed}/${files.length} files OK`);
+process.exit(failed ? 1 : 0);
@@ -5,6 +5,9 @@
 
 const { io } = require('socket.io-client');
 const { EventEmitter } = require('events');
+const { validateEvent } = require('./lib/schemas');
+const { applyOps, transformOps } = require('./lib/text-ops');
+const identity = require('./lib/identity');
 
 const DEFAULT_URL = 'https://hivemind-platform-production-4324.up.railway.app';
 
@@ -15,6 +18,10 @@ class HiveMindAgent extends EventEmitter {
    * @param {string} options.name - Agent display name
    * @param {string[]} options.capabilities - Agent capabilities (e.g., ['code', 'review', 'write'])
    * @param {string} [options.url] - HiveMind server URL
+   * @param {string} [options.token] - Agent API key issued by the server admin
+   * @param {string} [options.agentId] - Stable agent ID; reuse it to keep your number and stats across restarts
+   * @param {Object} [options.identity] - Ed25519 key pair from HiveMindAgent.generateIdentity(); persist it with agentId.
+   *   Generated automatically when no agentId is given; read it back from `agent.identity` to save it
    * @param {Object} [options.resources] - Compute resources to share
    */
   constructor(options = {}) {
@@ -23,14 +30,20 @@ class HiveMindAgent extends EventEmitter {
     this.capabilities = options.capabilities || ['code'];
     this.url = options.url || DEFAULT_URL;
     this.resources = options.resources || {};
+    this.token = options.token || null;
+    this.identity = options.identity || (options.agentId ? null : HiveMindAgent.generateIdentity());
     
     this.socket = null;
-    this.agentId = null;
+    this.agentId = options.agentId || null;
     this.agentNumber = null;
     this.currentProject = null;
     this.projectState = null;
+    this.syncVersion = 0; // last project version seen, the default base for editText()
+    this.resyncNeeded = false; // projectState may have drifted; the next join takes a full snapshot
     this.connected = false;
     this.heartbeatInterval = null;
+    this.memorySubscriptions = new Map(); // subscriptionId -> { topics, types, lastEventId }
+    this.subscriptionCounter = 0;
   }
 
   /**
@@ -41,6 +54,9 @@ class HiveMindAgent extends EventEmitter {
     return new Promise((resolve, reject) => {
       this.socket = io(this.url, {
         auth: {
+          token: this.token || undefined,
+          agentId: this.agentId || undefined,
+          publicKey: this.identity ? this.identity.publicKey : undefined,
           name: this.name,
           capabilities: this.capabilities,
           type: 'agent'
@@ -55,13 +71,21 @@ class HiveMindAgent extends EventEmitter {
 
       this.socket.on('connect', () => {
         this.connected = true;
+        this.resubscribeMemory();
         this.emit('connected');
       });
 
+      // Prove we hold the identity key before the server registers us
+      this.socket.on('agent:challenge', ({ nonce }) => {
+        this.send('agent:challenge:response', { signature: this.signChallenge(nonce) });
+      });
+
       this.socket.on('agent:registered', (data) => {
         clearTimeout(timeout);
         this.agentId = data.agentId;
         this.agentNumber = data.number;
+        // Reconnects re-send this auth, so they attach to the same profile
+        this.socket.auth.agentId = data.agentId;
         console.log(`🐝 Connected to HiveMind as ${data.displayName}`);
         
         // Start heartbeat
@@ -71,13 +95,31 @@ class HiveMindAgent extends EventEmitter {
         if (Object.keys(this.resources).length > 0) {
           this.shareResources(this.resources);
         }
+
+        // After a reconnect, pick up where we left off
+        if (this.currentProject) this.joinProject(this.currentProject);
         
         resolve(data);
       });
 
+      // Auth rejections carry { code, message }; retrying will not help
+      this.socket.on('connect_error', (err) => {
+        if (!err.data || !err.data.code) return;
+        clearTimeout(timeout);
+        this.socket.disconnect();
+        const error = new Error(err.data.message);
+        error.code = err.data.code;
+        reject(error);
+      });
+
       this.socket.on('error', (error) => {
         clearTimeout(timeout);
-        this.emit('error', error);
+        // A refused action was already folded into projectState
+        if (error && error.event === 'agent:action') this.resyncNeeded = true;
+        // Server errors (e.g. forbidden events) should not crash agents without an error listener
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
         reject(error);
       });
 
@@ -93,13 +135,72 @@ class HiveMindAgent extends EventEmitter {
 
       this.socket.on('project:state', (state) => {
         this.projectState = state;
+        this.syncVersion = state.version || 0;
+        this.resyncNeeded = false;
         this.emit('project:state', state);
       });
 
+      this.socket.on('project:delta', (delta) => {
+        if (this.applyDelta(delta)) {
+          this.emit('project:delta', delta);
+        } else {
+          // The delta does not fit our copy; ask for everything
+          this.resyncNeeded = true;
+          this.send('agent:join', { projectId: delta.projectId });
+        }
+      });
+
       this.socket.on('project:update', (update) => {
+        if (update.version) this.syncVersion = Math.max(this.syncVersion, update.version);
+        if (update.type === 'file:create') {
+          this.setFileContent(update.file.name, update.file.content);
+        } else if (update.type === 'file:edit' || update.type === 'file:revert') {
+          this.setFileContent(update.filePath, update.content);
+        }
         this.emit('project:update', update);
       });
 
+      this.socket.on('file:ack', (ack) => {
+        this.syncVersion = Math.max(this.syncVersion, ack.version);
+        if (ack.ops) {
+          this.applyFileOps(ack.filePath, ack.ops);
+        } else if (ack.merged) {
+          this.setFileContent(ack.filePath, ack.content);
+        }
+        this.emit('file:ack', ack);
+      });
+
+      this.socket.on('project:cursors', (snapshot) => {
+        if (this.projectState && this.projectState.projectId === snapshot.projectId) {
+          this.projectState.cursors = snapshot.cursors;
+        }
+        this.emit('project:cursors', snapshot);
+      });
+
+      this.socket.on('project:conflict', (conflict) => {
+        this.resyncNeeded = true;
+        this.emit('project:conflict', conflict);
+      });
+
+      this.socket.on('project:removed', (data) => {
+        this.currentProject = null;
+        this.projectState = null;
+        this.emit('project:removed', data);
+      });
+
+      this.socket.on('secret:warning', (data) => {
+        this.emit('secret:warning', data);
+      });
+
+      this.socket.on('action:pending', (data) => {
+        this.resyncNeeded = true;
+        this.emit('action:pending', data);
+      });
+
+      this.socket.on('action:decided', (data) => {
+        this.emit('action:decided', data);
+      });
+
       this.socket.on('task:created', (task) => {
         this.emit('task:created', task);
       });
@@ -111,34 +212,88 @@ class HiveMindAgent extends EventEmitter {
       this.socket.on('agent:left', (data) => {
         this.emit('agent:left', data);
       });
+
+      // A backlog cut short resumes from its cursor; the subscription goes live after the last page
+      this.socket.on('memory:backlog', ({ subscriptionId, events, done, cursor }) => {
+        events.forEach(event => this.handleMemoryEvent(subscriptionId, event));
+        const subscription = this.memorySubscriptions.get(subscriptionId);
+        if (!done && cursor && subscription) {
+          subscription.lastEventId = cursor;
+          this.sendMemorySubscribe(subscriptionId, subscription);
+        }
+      });
+
+      this.socket.on('memory:event', ({ subscriptionId, event }) => {
+        this.handleMemoryEvent(subscriptionId, event);
+      });
     });
   }
 
   /**
    * Join a project workspace
+   * Rejoining a project we still hold state for sends the last version seen,
+   * so the server can answer with just the missed operations.
    * @param {string} projectId - Project ID to join
    * @returns {Promise<Object>} Project state
    */
   async joinProject(projectId = 'demo-project') {
     return new Promise((resolve) => {
       this.currentProject = projectId;
-      
-      const handler = (state) => {
-        this.socket.off('project:state', handler);
-        resolve(state);
+      const resume = this.projectState && this.projectState.projectId === projectId && !this.resyncNeeded;
+
+      const handler = () => {
+        this.off('project:state', handler);
+        this.off('project:delta', handler);
+        resolve(this.projectState);
       };
-      
-      this.socket.on('project:state', handler);
-      this.socket.emit('agent:join', { projectId });
+
+      this.on('project:state', handler);
+      this.on('project:delta', handler);
+      this.send('agent:join', resume ? { projectId, lastVersion: this.syncVersion } : { projectId });
     });
   }
 
+  /**
+   * Replay missed operations onto projectState
+   * @returns {boolean} false if an operation does not apply to our copy
+   */
+  applyDelta(delta) {
+    if (!this.projectState || this.projectState.projectId !== delta.projectId) return false;
+    for (const op of delta.operations) {
+      if (op.ops) {
+        if (!this.applyFileOps(op.filePath, op.ops)) return false;
+      } else if (typeof op.content === 'string') {
+        this.setFileContent(op.filePath, op.content);
+      }
+    }
+    this.projectState.version = delta.version;
+    this.projectState.tasks = delta.tasks;
+    this.projectState.cursors = delta.cursors;
+    this.syncVersion = delta.version;
+    return true;
+  }
+
+  setFileContent(filePath, content) {
+    if (!this.projectState) return;
+    const files = this.projectState.files;
+    files[filePath] = { ...(files[filePath] || { name: filePath }), content };
+  }
+
+  applyFileOps(filePath, ops) {
+    if (!this.projectState) return false;
+    const file = this.projectState.files[filePath];
+    const applied = applyOps(file ? file.content : '', ops);
+    if (applied.error) return false;
+    this.setFileContent(filePath, applied.content);
+    return true;
+  }
+
   /**
    * Leave current project
    */
   leaveProject() {
     if (this.currentProject) {
-      this.socket.emit('agent:leave');
+      this.send('agent:leave');
       this.currentProject = null;
       this.projectState = null;
     }
@@ -148,15 +303,41 @@ class HiveMindAgent extends EventEmitter {
    * Edit a file in the current project
    * @param {string} filePath - Path to file
    * @param {string} content - New file content
+   * @param {number} [baseVersion] - Project version the content was based on;
+   *   when given, changes made since are merged in or reported as `project:conflict`
    */
-  editFile(filePath, content) {
+  editFile(filePath, content, baseVersion) {
     if (!this.currentProject) {
       throw new Error('Must join a project first');
     }
-    this.socket.emit('agent:action', {
+    this.send('agent:action', {
       type: 'file:edit',
       filePath,
-      content
+      content,
+      ...(baseVersion !== undefined ? { baseVersion } : {})
+    });
+    this.setFileContent(filePath, content);
+    this.emit('action', { type: 'file:edit', filePath });
+  }
+
+  /**
+   * Edit part of a file with insert/delete operations
+   * The server transforms them past edits made since `baseVersion`, so
+   * concurrent edits to other parts of the file survive. `file:ack` reports
+   * the version they landed at and the ops as applied.
+   * @param {string} filePath - Path to file
+   * @param {Object[]} ops - { type: 'insert', position, text } or { type: 'delete', position, length }
+   * @param {number} [baseVersion] - Project version the ops were made against; defaults to the last seen
+   */
+  editText(filePath, ops, baseVersion = this.syncVersion) {
+    if (!this.currentProject) {
+      throw new Error('Must join a project first');
+    }
+    this.send('agent:action', {
+      type: 'file:edit',
+      filePath,
+      ops,
+      baseVersion
     });
     this.emit('action', { type: 'file:edit', filePath });
   }
@@ -170,14 +351,32 @@ class HiveMindAgent extends EventEmitter {
     if (!this.currentProject) {
       throw new Error('Must join a project first');
     }
-    this.socket.emit('agent:action', {
+    this.send('agent:action', {
       type: 'file:create',
       filePath,
       content
     });
+    this.setFileContent(filePath, content);
     this.emit('action', { type: 'file:create', filePath });
   }
 
+  /**
+   * Restore an older revision of a file as a new edit
+   * @param {string} filePath - Path to file
+   * @param {number} version - Revision version to restore
+   */
+  revertFile(filePath, version) {
+    if (!this.currentProject) {
+      throw new Error('Must join a project first');
+    }
+    this.send('agent:action', {
+      type: 'file:revert',
+      filePath,
+      version
+    });
+    this.emit('action', { type: 'file:revert', filePath, version });
+  }
+
   /**
    * Claim a task
    * @param {string} taskId - Task ID to claim
@@ -186,7 +385,7 @@ class HiveMindAgent extends EventEmitter {
     if (!this.currentProject) {
       throw new Error('Must join a project first');
     }
-    this.socket.emit('agent:action', {
+    this.send('agent:action', {
       type: 'task:claim',
       taskId
     });
@@ -202,7 +401,7 @@ class HiveMindAgent extends EventEmitter {
     if (!this.currentProject) {
       throw new Error('Must join a project first');
     }
-    this.socket.emit('agent:action', {
+    this.send('agent:action', {
       type: 'task:complete',
       taskId,
       result
@@ -220,7 +419,7 @@ class HiveMindAgent extends EventEmitter {
     if (!this.currentProject) {
       throw new Error('Must join a project first');
     }
-    this.socket.emit('agent:action', {
+    this.send('agent:action', {
       type: 'comment:add',
       filePath,
       line,
@@ -231,11 +430,12 @@ class HiveMindAgent extends EventEmitter {
   /**
    * Update cursor position (for collaborative editing visualization)
    * @param {string} filePath - Current file
-   * @param {number} line - Line number
-   * @param {number} column - Column number
+   * @param {number} line - Line number (0-based)
+   * @param {number} column - Column number (0-based)
+   * @param {Object[]} [ranges] - Selected ranges, { start: { line, column }, end: { line, column } }
    */
-  updateCursor(filePath, line, column = 0) {
-    this.socket.emit('agent:cursor', { filePath, line, column });
+  updateCursor(filePath, line, column = 0, ranges) {
+    this.send('agent:cursor', { filePath, line, column, ...(ranges ? { selection: { ranges } } : {}) });
   }
 
   /**
@@ -244,7 +444,7 @@ class HiveMindAgent extends EventEmitter {
    * @param {string} [message] - Optional status message
    */
   setStatus(status, message = '') {
-    this.socket.emit('agent:status', { status, message });
+    this.send('agent:status', { status, message });
   }
 
   /**
@@ -257,15 +457,89 @@ class HiveMindAgent extends EventEmitter {
    */
   shareResources(resources) {
     this.resources = { ...this.resources, ...resources };
-    this.socket.emit('agent:resources', this.resources);
+    this.send('agent:resources', this.resources);
   }
 
   /**
    * Broadcast a message to all connected agents
+   * Requires a key with the operator role; otherwise the server answers with a `forbidden` error.
    * @param {string} message - Message to broadcast
    */
   broadcast(message) {
-    this.socket.emit('observatory:broadcast', { message });
+    this.send('observatory:broadcast', { message });
+  }
+
+  /**
+   * Subscribe to the shared memory bus
+   * Matching events are emitted as 'memory:event'. After a reconnect the
+   * subscription resumes from the last event received, so nothing is missed.
+   * @param {Object} [filters] - Subscription filters
+   * @param {string[]} [filters.topics] - Project IDs to follow (all if omitted)
+   * @param {string[]} [filters.types] - Event types to follow (all if omitted)
+   * @param {string} [filters.afterEventId] - Replay the backlog after this event first
+   * @returns {string} Subscription ID
+   */
+  subscribeMemory(filters = {}) {
+    const subscriptionId = `${this.name}-${++this.subscriptionCounter}-${Date.now().toString(36)}`;
+    const subscription = {
+      topics: filters.topics || null,
+      types: filters.types || null,
+      lastEventId: filters.afterEventId || null
+    };
+    this.memorySubscriptions.set(subscriptionId, subscription);
+    if (this.connected) {
+      this.sendMemorySubscribe(subscriptionId, subscription);
+    }
+    return subscriptionId;
+  }
+
+  /**
+   * Stop a memory bus subscription
+   * @param {string} subscriptionId - ID returned by subscribeMemory
+   */
+  unsubscribeMemory(subscriptionId) {
+    this.memorySubscriptions.delete(subscriptionId);
+    if (this.connected) {
+      this.send('memory:unsubscribe', { subscriptionId });
+    }
+  }
+
+  sendMemorySubscribe(subscriptionId, { topics, types, lastEventId }) {
+    this.send('memory:subscribe', {
+      subscriptionId,
+      topics,
+      types,
+      afterEventId: lastEventId || undefined
+    });
+  }
+
+  resubscribeMemory() {
+    for (const [subscriptionId, subscription] of this.memorySubscriptions) {
+      this.sendMemorySubscribe(subscriptionId, subscription);
+    }
+  }
+
+  handleMemoryEvent(subscriptionId, event) {
+    const subscription = this.memorySubscriptions.get(subscriptionId);
+    if (!subscription) return;
+    subscription.lastEventId = event.id;
+    this.emit('memory:event', { subscriptionId, event });
+  }
+
+  /**
+   * Validate a payload against the shared schema, then emit it
+   * @param {string} event - Event name
+   * @param {*} [payload] - Event payload
+   * @throws {Error} With `code: 'invalid_payload'` and the offending field `path`
+   */
+  send(event, payload) {
+    const invalid = validateEvent(event, payload);
+    if (invalid) {
+      const error = new Error(`Invalid ${event}: ${invalid.message}`);
+      Object.assign(error, invalid, { event });
+      throw error;
+    }
+    this.socket.emit(event, payload);
   }
 
   /**
@@ -275,11 +549,28 @@ class HiveMindAgent extends EventEmitter {
     this.stopHeartbeat();
     this.heartbeatInterval = setInterval(() => {
       if (this.connected) {
-        this.socket.emit('agent:heartbeat');
+        this.send('agent:heartbeat');
       }
     }, 15000);
   }
 
+  /**
+   * Generate an Ed25519 identity
+   * @returns {{publicKey: string, privateKey: string}} Base64 DER keys (SPKI public, PKCS#8 private)
+   */
+  static generateIdentity() {
+    return identity.generateIdentity();
+  }
+
+  /**
+   * Sign an identity challenge nonce
+   * @param {string} nonce - Nonce from agent:challenge
+   * @returns {string} Base64 signature
+   */
+  signChallenge(nonce) {
+    return identity.signChallenge(this.identity.privateKey, nonce);
+  }
+
   /**
    * Stop heartbeat
    */
@@ -331,12 +622,13 @@ class HiveMindAgent extends EventEmitter {
  * Quick connect helper
  * @param {string} name - Agent name
  * @param {string[]} capabilities - Agent capabilities
+ * @param {Object} [options] - Further constructor options, e.g. `token` or `url`
  * @returns {Promise<HiveMindAgent>} Connected agent
  */
-async function connect(name, capabilities = ['code']) {
-  const agent = new HiveMindAgent({ name, capabilities });
+async function connect(name, capabilities = ['code'], options = {}) {
+  const agent = new HiveMindAgent({ ...options, name, capabilities });
   await agent.connect();
   return agent;
 }
 
-module.exports = { HiveMindAgent, connect };
+module.exports = { HiveMindAgent, connect, applyOps, transformOps };
@@ -0,0 +1,41 @@
+// Ed25519 agent identities and challenge signing, shared by the server and the SDK
+
+const crypto = require('crypto');
+
+/*
+ * Keys travel as base64 DER strings: SPKI for public keys, PKCS#8 for private
+ * keys. An agent answers `agent:challenge` by signing
+ * `hivemind-agent-auth:<nonce>` with its private key.
+ */
+
+const CHALLENGE_PREFIX = 'hivemind-agent-auth:';
+
+function challengeMessage(nonce) {
+  return Buffer.from(`${CHALLENGE_PREFIX}${nonce}`);
+}
+
+/**
+ * Generate a key pair as base64 DER strings (SPKI public, PKCS#8 private)
+ */
+function generateIdentity() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    publicKey: publicKey.export({ format: 'der', type: 'spki' }).toString('base64'),
+    privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64')
+  };
+}
+
+/**
+ * Sign a challenge nonce with a base64 PKCS#8 private key
+ */
+function signChallenge(privateKey, nonce) {
+  const key = crypto.createPrivateKey({ key: Buffer.from(privateKey, 'base64'), format: 'der', type: 'pkcs8' });
+  return crypto.sign(null, challengeMessage(nonce), key).toString('base64');
+}
+
+module.exports = {
+  CHALLENGE_PREFIX,
+  challengeMessage,
+  generateIdentity,
+  signChallenge
+};
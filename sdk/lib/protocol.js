@@ -0,0 +1,58 @@
+// Shared protocol message types and helpers
+
+const EVENTS = {
+  // Agent -> Server
+  AGENT_JOIN: 'agent:join',
+  AGENT_LEAVE: 'agent:leave',
+  AGENT_ACTION: 'agent:action',
+  AGENT_CURSOR: 'agent:cursor',
+  AGENT_STATUS: 'agent:status',
+  AGENT_TYPING: 'agent:typing',
+  AGENT_HEARTBEAT: 'agent:heartbeat',
+  AGENT_RESOURCES: 'agent:resources',
+  AGENT_CHALLENGE_RESPONSE: 'agent:challenge:response',
+  MEMORY_SUBSCRIBE: 'memory:subscribe',
+  MEMORY_UNSUBSCRIBE: 'memory:unsubscribe',
+  PROJECTION_GET: 'projection:get',
+
+  // Server -> Agent
+  AGENT_CHALLENGE: 'agent:challenge',
+  PROJECT_STATE: 'project:state',
+  PROJECT_DELTA: 'project:delta',
+  PROJECT_UPDATE: 'project:update',
+  PROJECT_CURSORS: 'project:cursors',
+  FILE_ACK: 'file:ack',
+  PROJECT_CONFLICT: 'project:conflict',
+  AGENT_JOINED: 'agent:joined',
+  AGENT_LEFT: 'agent:left',
+  AGENT_ACTION_BROADCAST: 'agent:action',
+  MEMORY_SUBSCRIBED: 'memory:subscribed',
+  MEMORY_BACKLOG: 'memory:backlog',
+  MEMORY_EVENT: 'memory:event',
+  MEMORY_UNSUBSCRIBED: 'memory:unsubscribed',
+  PROJECTION_STATE: 'projection:state',
+  SECRET_WARNING: 'secret:warning',
+  ACTION_PENDING: 'action:pending',
+  ACTION_DECIDED: 'action:decided',
+
+  // Operator -> Server (observatory or agent sockets with the operator role)
+  OBSERVATORY_BROADCAST: 'observatory:broadcast',
+  OBSERVATORY_CREATE_TASK: 'observatory:create-task',
+  OBSERVATORY_DECIDE_PROPOSAL: 'observatory:decide-proposal',
+
+  // Observatory
+  OBSERVATORY_STATE: 'observatory:state',
+  OBSERVATORY_AGENTS: 'observatory:agents',
+  OBSERVATORY_PROJECT: 'observatory:project',
+  OBSERVATORY_ACTIVITY: 'observatory:activity',
+  OBSERVATORY_METRICS: 'observatory:metrics',
+  OBSERVATORY_CURSORS: 'observatory:cursors',
+  OBSERVATORY_TYPING: 'observatory:typing',
+  OBSERVATORY_THROTTLE: 'observatory:throttle',
+  OBSERVATORY_FILE_REJECTED: 'observatory:file-rejected',
+  OBSERVATORY_SECRET_DETECTED: 'observatory:secret-detected',
+  OBSERVATORY_PROPOSAL: 'observatory:proposal',
+  OBSERVATORY_PROPOSAL_DECIDED: 'observatory:proposal-decided'
+};
+
+module.exports = { EVENTS };
@@ -0,0 +1,392 @@
+// Payload schemas for socket events and REST bodies, shared by the server and the SDK
+
+const { EVENTS } = require('./protocol');
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const PERMISSIONS = ['read', 'write', 'manage-tasks'];
+const ROLES = ['agent', 'viewer', 'operator', 'admin'];
+
+/*
+ * Schemas are plain objects:
+ * - type: 'object' | 'string' | 'integer' | 'number' | 'boolean' | 'array' | 'any'
+ * - nullable: also accept null
+ * - optional (top level only): the payload may be omitted entirely
+ * - object: properties, required, additionalProperties (default true),
+ *   discriminator + variants to pick a sub-schema by one field,
+ *   oneOfRequired (exactly one of these fields), dependentRequired
+ *   ({ field: [fields it needs] })
+ * - string: minLength, maxLength, enum
+ * - integer/number: minimum, maximum
+ * - array: items, minItems, maxItems
+ */
+
+const id = { type: 'string', minLength: 1, maxLength: 200 };
+const filePath = { type: 'string', minLength: 1, maxLength: 1024 };
+const count = { type: 'integer', minimum: 0 };
+const amount = { type: 'number', minimum: 0, nullable: true };
+const empty = { type: 'object', optional: true, nullable: true };
+const cursorPosition = { type: 'object', properties: { line: count, column: count }, required: ['line'], additionalProperties: false };
+const selection = {
+  type: 'object',
+  nullable: true,
+  properties: {
+    ranges: {
+      type: 'array',
+      maxItems: 100,
+      items: { type: 'object', properties: { start: cursorPosition, end: cursorPosition }, required: ['start', 'end'], additionalProperties: false }
+    }
+  },
+  additionalProperties: false
+};
+
+const textOp = {
+  type: 'object',
+  discriminator: 'type',
+  variants: {
+    insert: {
+      properties: { position: count, text: { type: 'string', minLength: 1 } },
+      required: ['position', 'text'],
+      additionalProperties: false
+    },
+    delete: {
+      properties: { position: count, length: { type: 'integer', minimum: 1 } },
+      required: ['position', 'length'],
+      additionalProperties: false
+    }
+  }
+};
+
+const resources = {
+  type: 'object',
+  properties: { cpuCores: amount, gpuVramGb: amount, ramGb: amount, storageGb: amount },
+  additionalProperties: false
+};
+
+// Body of the approve and reject proposal routes
+const decision = {
+  type: 'object',
+  properties: { reason: { type: 'string', maxLength: 2000 } }
+};
+
+// Payloads that are stored or broadcast are closed, so unknown fields never reach other clients
+const EVENT_SCHEMAS = {
+  [EVENTS.AGENT_JOIN]: {
+    type: 'object',
+    properties: { projectId: id, lastVersion: count },
+    required: ['projectId']
+  },
+  [EVENTS.AGENT_LEAVE]: empty,
+  [EVENTS.AGENT_ACTION]: {
+    type: 'object',
+    discriminator: 'type',
+    variants: {
+      // Either the whole new `content`, or `ops` against `baseVersion`
+      'file:edit': {
+        properties: {
+          filePath,
+          content: { type: 'string' },
+          ops: { type: 'array', items: textOp, minItems: 1, maxItems: 1000 },
+          baseVersion: count,
+          selection
+        },
+        required: ['filePath'],
+        oneOfRequired: ['content', 'ops'],
+        dependentRequired: { ops: ['baseVersion'] },
+        additionalProperties: false
+      },
+      'file:create': {
+        properties: { filePath, content: { type: 'string' } },
+        required: ['filePath', 'content'],
+        additionalProperties: false
+      },
+      'file:revert': {
+        properties: { filePath, version: { type: 'integer', minimum: 1 } },
+        required: ['filePath', 'version'],
+        additionalProperties: false
+      },
+      'task:claim': {
+        properties: { taskId: id },
+        required: ['taskId'],
+        additionalProperties: false
+      },
+      'task:complete': {
+        properties: { taskId: id, result: { type: 'string', maxLength: 5000 } },
+        required: ['taskId'],
+        additionalProperties: false
+      },
+      'comment:add': {
+        properties: { filePath, line: count, text: { type: 'string', minLength: 1, maxLength: 5000 } },
+        required: ['filePath', 'line', 'text'],
+        additionalProperties: false
+      }
+    }
+  },
+  [EVENTS.AGENT_CURSOR]: {
+    type: 'object',
+    properties: { filePath, line: count, column: count, selection },
+    required: ['filePath', 'line'],
+    additionalProperties: false
+  },
+  [EVENTS.AGENT_STATUS]: {
+    type: 'object',
+    properties: { status: { type: 'string', minLength: 1, maxLength: 50 }, message: { type: 'string', maxLength: 500 } },
+    required: ['status'],
+    additionalProperties: false
+  },
+  [EVENTS.AGENT_TYPING]: {
+    type: 'object',
+    properties: { filePath, isTyping: { type: 'boolean' } },
+    required: ['filePath', 'isTyping'],
+    additionalProperties: false
+  },
+  [EVENTS.AGENT_HEARTBEAT]: empty,
+  [EVENTS.AGENT_RESOURCES]: resources,
+  [EVENTS.AGENT_CHALLENGE_RESPONSE]: {
+    type: 'object',
+    properties: { signature: { type: 'string', minLength: 1, maxLength: 200 } },
+    required: ['signature']
+  },
+  [EVENTS.MEMORY_SUBSCRIBE]: {
+    type: 'object',
+    properties: {
+      subscriptionId: id,
+      topics: { type: 'array', items: id, maxItems: 100, nullable: true },
+      types: { type: 'array', items: id, maxItems: 100, nullable: true },
+      afterEventId: id
+    }
+  },
+  [EVENTS.MEMORY_UNSUBSCRIBE]: {
+    type: 'object',
+    properties: { subscriptionId: id },
+    required: ['subscriptionId']
+  },
+  [EVENTS.PROJECTION_GET]: {
+    type: 'object',
+    properties: { name: id, key: { type: 'string', maxLength: 200, nullable: true } },
+    required: ['name']
+  },
+  [EVENTS.OBSERVATORY_BROADCAST]: {
+    type: 'object',
+    properties: { message: { type: 'string', minLength: 1, maxLength: 2000 } },
+    required: ['message'],
+    additionalProperties: false
+  },
+  [EVENTS.OBSERVATORY_DECIDE_PROPOSAL]: {
+    type: 'object',
+    properties: {
+      proposalId: id,
+      decision: { type: 'string', enum: ['approve', 'reject'] },
+      reason: { type: 'string', maxLength: 2000 }
+    },
+    required: ['proposalId', 'decision'],
+    additionalProperties: false
+  },
+  [EVENTS.OBSERVATORY_CREATE_TASK]: {
+    type: 'object',
+    properties: {
+      projectId: id,
+      title: { type: 'string', minLength: 1, maxLength: 200 },
+      description: { type: 'string', maxLength: 5000 },
+      priority: { type: 'string', enum: PRIORITIES }
+    },
+    required: ['projectId', 'title'],
+    additionalProperties: false
+  }
+};
+
+// Keyed by `METHOD /route` as registered in server/index.js
+const REST_SCHEMAS = {
+  'POST /api/projects': {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 200 },
+      description: { type: 'string', maxLength: 5000 },
+      visibility: { type: 'string', enum: ['public', 'private'] }
+    },
+    required: ['name']
+  },
+  'POST /api/projects/import': {
+    type: 'object',
+    properties: {
+      format: { type: 'string' },
+      version: { type: 'integer' },
+      project: {
+        type: 'object',
+        properties: {
+          id,
+          files: { type: 'object' },
+          tasks: { type: 'array', items: { type: 'object' } },
+          activity: { type: 'array', items: { type: 'object' } }
+        },
+        required: ['id', 'files', 'tasks']
+      },
+      revisions: { type: 'object' },
+      events: { type: 'array', items: { type: 'object' } }
+    },
+    required: ['format', 'version', 'project']
+  },
+  'PUT /api/projects/:id/access': {
+    type: 'object',
+    properties: { visibility: { type: 'string', enum: ['public', 'private'] } },
+    required: ['visibility']
+  },
+  'PUT /api/projects/:id/secret-policy': {
+    type: 'object',
+    properties: { mode: { type: 'string', enum: ['block', 'redact', 'warn'], nullable: true } },
+    required: ['mode']
+  },
+  'POST /api/projects/:id/members': {
+    type: 'object',
+    properties: {
+      agentId: id,
+      permissions: { type: 'array', items: { type: 'string', enum: PERMISSIONS }, minItems: 1 }
+    },
+    required: ['agentId']
+  },
+  'POST /api/agents/:id/resources': resources,
+  'POST /api/proposals/:id/approve': decision,
+  'POST /api/proposals/:id/reject': decision,
+  'POST /api/tasks': {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 200 },
+      description: { type: 'string', maxLength: 5000 },
+      priority: { type: 'string', enum: PRIORITIES },
+      projectId: id
+    },
+    required: ['title']
+  },
+  'POST /api/admin/keys': {
+    type: 'object',
+    properties: {
+      agentId: id,
+      role: { type: 'string', enum: ROLES },
+      label: { type: 'string', maxLength: 200 }
+    }
+  }
+};
+
+const describe = (path) => path || 'payload';
+
+const fail = (path, reason, message) => ({ code: 'invalid_payload', path, reason, message });
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'any': return true;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Check a value against a schema
+ * Returns null when valid, otherwise the first problem as
+ * { code: 'invalid_payload', path, reason, message }. `path` uses dots and
+ * [index] (e.g. `permissions[0]`); it is '' for the payload itself.
+ */
+function validate(schema, value, path = '') {
+  if (!schema) return null;
+  if (value === undefined && schema.optional) return null;
+  if (value === null && schema.nullable) return null;
+
+  if (!typeMatches(schema.type, value)) {
+    return fail(path, 'type', `${describe(path)} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+  }
+
+  if (schema.type === 'string') {
+    if (schema.enum && !schema.enum.includes(value)) {
+      return fail(path, 'enum', `${describe(path)} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(path, 'minLength', schema.minLength === 1 ? `${describe(path)} must not be empty` : `${describe(path)} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(path, 'maxLength', `${describe(path)} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail(path, 'minimum', `${describe(path)} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail(path, 'maximum', `${describe(path)} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(path, 'minItems', `${describe(path)} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(path, 'maxItems', `${describe(path)} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const error = validate(schema.items, value[i], `${path}[${i}]`);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (schema.type === 'object') {
+    let objectSchema = schema;
+    if (schema.discriminator) {
+      const key = schema.discriminator;
+      const keyPath = path ? `${path}.${key}` : key;
+      const variant = typeof value[key] === 'string' ? schema.variants[value[key]] : null;
+      if (!variant) {
+        return fail(keyPath, 'enum', `${keyPath} must be one of ${Object.keys(schema.variants).join(', ')}`);
+      }
+      objectSchema = variant;
+    }
+
+    for (const field of objectSchema.required || []) {
+      if (value[field] === undefined) {
+        const fieldPath = path ? `${path}.${field}` : field;
+        return fail(fieldPath, 'required', `${fieldPath} is required`);
+      }
+    }
+    if (objectSchema.oneOfRequired) {
+      const present = objectSchema.oneOfRequired.filter(field => value[field] !== undefined);
+      if (present.length !== 1) {
+        const fieldPath = path ? `${path}.${objectSchema.oneOfRequired[0]}` : objectSchema.oneOfRequired[0];
+        return fail(fieldPath, 'oneOf', `${describe(path)} needs exactly one of ${objectSchema.oneOfRequired.join(', ')}`);
+      }
+    }
+    for (const [field, needed] of Object.entries(objectSchema.dependentRequired || {})) {
+      if (value[field] === undefined) continue;
+      const missing = needed.find(other => value[other] === undefined);
+      if (missing) {
+        const fieldPath = path ? `${path}.${missing}` : missing;
+        return fail(fieldPath, 'required', `${fieldPath} is required with ${field}`);
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(objectSchema.properties || {})) {
+      if (value[field] === undefined) continue;
+      const error = validate(fieldSchema, value[field], path ? `${path}.${field}` : field);
+      if (error) return error;
+    }
+    if (objectSchema.additionalProperties === false) {
+      const extra = Object.keys(value).find(field => !(field in (objectSchema.properties || {})) && field !== schema.discriminator);
+      if (extra) {
+        const fieldPath = path ? `${path}.${extra}` : extra;
+        return fail(fieldPath, 'unknown', `${fieldPath} is not allowed`);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a socket event payload; events without a schema pass
+ */
+function validateEvent(event, payload) {
+  return validate(EVENT_SCHEMAS[event], payload);
+}
+
+module.exports = { EVENT_SCHEMAS, REST_SCHEMAS, validate, validateEvent };
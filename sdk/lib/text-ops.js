@@ -0,0 +1,134 @@
+// Character-level text operations and their transformation, shared by the server and the SDK
+
+/*
+ * An edit is a list of operations applied in order, each against the text
+ * left by the one before it:
+ * - { type: 'insert', position, text }
+ * - { type: 'delete', position, length }
+ * Positions count UTF-16 code units, like String.prototype.slice.
+ */
+
+const opError = (message) => ({ error: { code: 'invalid_ops', message } });
+
+/**
+ * Apply a list of operations to a text
+ * Returns { content } or { error: { code: 'invalid_ops', message } } when an
+ * operation falls outside the text.
+ */
+function applyOps(content, ops) {
+  let text = content;
+  for (let i = 0; i < ops.length; i++) {
+    const op = ops[i];
+    if (op.position > text.length) {
+      return opError(`ops[${i}] starts at ${op.position}, past the end of the text (${text.length})`);
+    }
+    if (op.type === 'insert') {
+      text = text.slice(0, op.position) + op.text + text.slice(op.position);
+    } else if (op.type === 'delete') {
+      if (op.position + op.length > text.length) {
+        return opError(`ops[${i}] deletes past the end of the text (${text.length})`);
+      }
+      text = text.slice(0, op.position) + text.slice(op.position + op.length);
+    } else {
+      return opError(`ops[${i}] has unknown type ${op.type}`);
+    }
+  }
+  return { content: text };
+}
+
+const insert = (position, text) => ({ type: 'insert', position, text });
+// A zero-length delete is dropped, so this returns a list
+const deletion = (position, length) => (length > 0 ? [{ type: 'delete', position, length }] : []);
+
+/**
+ * Transform two concurrent operations made against the same text
+ * Returns [a', b']: a' applies after b, b' applies after a, and both orders
+ * give the same text. When both insert at one position, b's text goes first.
+ */
+function transformOp(a, b) {
+  if (a.type === 'insert' && b.type === 'insert') {
+    if (a.position < b.position) return [[a], [insert(b.position + a.text.length, b.text)]];
+    return [[insert(a.position + b.text.length, a.text)], [b]];
+  }
+
+  if (a.type === 'insert' && b.type === 'delete') {
+    return transformInsertDelete(a, b);
+  }
+
+  if (a.type === 'delete' && b.type === 'insert') {
+    const [insertB, deleteA] = transformInsertDelete(b, a);
+    return [deleteA, insertB];
+  }
+
+  // Both delete: each loses the part the other already removed
+  const aEnd = a.position + a.length;
+  const bEnd = b.position + b.length;
+  const overlap = Math.max(0, Math.min(aEnd, bEnd) - Math.max(a.position, b.position));
+  const shift = (op, other) => (op.position <= other.position
+    ? op.position
+    : Math.max(other.position, op.position - other.length));
+  return [
+    deletion(shift(a, b), a.length - overlap),
+    deletion(shift(b, a), b.length - overlap)
+  ];
+}
+
+/**
+ * Transform a concurrent insert and delete; returns [insert', delete']
+ * An insert inside the deleted range survives, and the delete splits around it.
+ */
+function transformInsertDelete(ins, del) {
+  const end = del.position + del.length;
+  if (ins.position <= del.position) {
+    return [[ins], deletion(del.position + ins.text.length, del.length)];
+  }
+  if (ins.position >= end) {
+    return [[insert(ins.position - del.length, ins.text)], [del]];
+  }
+  const before = ins.position - del.position;
+  return [
+    [insert(del.position, ins.text)],
+    [...deletion(del.position, before), ...deletion(del.position + ins.text.length, del.length - before)]
+  ];
+}
+
+/**
+ * Transform two concurrent operation lists made against the same text
+ * Returns [a', b'] such that applying b then a' equals applying a then b'.
+ */
+function transformOps(a, b) {
+  if (a.length === 0 || b.length === 0) return [a, b];
+
+  if (a.length > 1) {
+    const [head, bAfterHead] = transformOps([a[0]], b);
+    const [tail, bAfterAll] = transformOps(a.slice(1), bAfterHead);
+    return [[...head, ...tail], bAfterAll];
+  }
+  if (b.length > 1) {
+    const [aAfterHead, head] = transformOps(a, [b[0]]);
+    const [aAfterAll, tail] = transformOps(aAfterHead, b.slice(1));
+    return [aAfterAll, [...head, ...tail]];
+  }
+  return transformOp(a[0], b[0]);
+}
+
+/**
+ * Operations that turn one text into another
+ * The differing middle (between the common prefix and suffix) is deleted and
+ * replaced in one step.
+ */
+function replaceOps(from, to) {
+  let start = 0;
+  while (start < from.length && start < to.length && from[start] === to[start]) start++;
+  let end = 0;
+  while (end < from.length - start && end < to.length - start
+    && from[from.length - 1 - end] === to[to.length - 1 - end]) end++;
+
+  const inserted = to.slice(start, to.length - end);
+  return [
+    ...deletion(start, from.length - end - start),
+    ...(inserted ? [insert(start, inserted)] : [])
+  ];
+}
+
+module.exports = { applyOps, transformOps, transformOp, replaceOps };
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { challengeMessage, generateIdentity, signChallenge } = require('../sdk/lib/identity');
+
+/**
+ * Agent identity - Ed25519 keys proven with a challenge-response
+ *
+ * Public keys travel as base64 SPKI DER and signatures as base64. After
+ * connecting, the server sends a random nonce in `agent:challenge`. The agent
+ * signs `hivemind-agent-auth:<nonce>` and replies with
+ * `agent:challenge:response`. Only then is it registered.
+ */
+
+/**
+ * Parse a base64 SPKI public key, or return null if it is not Ed25519
+ */
+function parsePublicKey(publicKey) {
+  try {
+    const key = crypto.createPublicKey({ key: Buffer.from(String(publicKey), 'base64'), format: 'der', type: 'spki' });
+    return key.asymmetricKeyType === 'ed25519' ? key : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Stable agent id derived from a public key
+ */
+function fingerprint(publicKey) {
+  return crypto.createHash('sha256').update(Buffer.from(String(publicKey), 'base64')).digest('hex').slice(0, 32);
+}
+
+function createChallenge() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Check a signature over a challenge nonce
+ */
+function verifyChallenge(publicKey, nonce, signature) {
+  const key = parsePublicKey(publicKey);
+  if (!key || typeof signature !== 'string') return false;
+  try {
+    return crypto.verify(null, challengeMessage(nonce), key, Buffer.from(signature, 'base64'));
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = {
+  parsePublicKey,
+  fingerprint,
+  createChallenge,
+  verifyChallenge,
+  generateIdentity,
+  signChallenge
+};
@@ -1,41 +1,166 @@
 const { v4: uuidv4 } = require('uuid');
+const { MemoryAdapter } = require('./storage');
+const { parsePublicKey, fingerprint, verifyChallenge } = require('./agent-identity');
 
-let globalAgentCounter = 1;
 const AGENT_ZERO_NAME = 'Crusty Macx';
 
 /**
  * AgentManager - Manages agent lifecycle, authentication, and presence
+ *
+ * Identity modes (AGENT_IDENTITY):
+ * - optional: agents may connect without a key pair, but a profile that has
+ *             registered a public key can only be used by its key holder (default)
+ * - required: every agent must prove an Ed25519 key
+ * Agent number 0 goes only to the holder of AGENT_ZERO_KEY.
  */
 class AgentManager {
-  constructor() {
+  constructor(storage = new MemoryAdapter(), { identityMode = 'optional', agentZeroKey = null } = {}) {
+    this.identityRequired = identityMode === 'required';
+    this.agentZeroKey = agentZeroKey;
     this.agents = new Map(); // socket.id -> agent info
     this.agentsById = new Map(); // agentId -> socket.id
+    this.storage = storage;
+    this.profiles = new Map(); // agentId -> durable profile
+    this.agentCounter = this.storage.get('meta', 'agent-counter') || 1;
     this.heartbeatInterval = parseInt(process.env.HEARTBEAT_INTERVAL) || 30000;
     this.agentTimeout = parseInt(process.env.AGENT_TIMEOUT) || 120000;
 
     this.startHeartbeatMonitor();
   }
 
+  /**
+   * Load the durable profile for an agent, creating it on first contact
+   * Profiles keep number, displayName and lifetime stats across reconnects.
+   */
+  loadProfile(agentId, auth) {
+    if (this.profiles.has(agentId)) return this.profiles.get(agentId);
+
+    let profile = this.storage.get('agent-profiles', agentId);
+    if (!profile) {
+      const isAgentZero = Boolean(this.agentZeroKey && auth.publicKey === this.agentZeroKey);
+      const number = isAgentZero ? 0 : this.nextAgentNumber();
+      profile = {
+        id: agentId,
+        number,
+        displayName: isAgentZero ? `${AGENT_ZERO_NAME}` : `Agent ${number}`,
+        name: null,
+        firstSeen: Date.now(),
+        lastSeen: Date.now(),
+        sessions: 0,
+        capabilitiesHistory: [],
+        stats: {
+          actionsCompleted: 0,
+          tasksCompleted: 0,
+          linesWritten: 0,
+          timeSpentCodingMs: 0,
+          errors: 0
+        }
+      };
+    }
+
+    this.profiles.set(agentId, profile);
+    return profile;
+  }
+
+  /**
+   * Write a profile through to storage
+   */
+  persistProfile(profile) {
+    this.storage.put('agent-profiles', profile.id, profile);
+  }
+
+  /**
+   * Get the durable profile for an agent, online or not
+   */
+  getProfile(agentId) {
+    return this.profiles.get(agentId) || this.storage.get('agent-profiles', agentId) || null;
+  }
+
+  /**
+   * Decide whether a connecting agent must prove a key, before it is registered
+   * Agents presenting a key without an agentId get one derived from the key.
+   * An existing keyless profile is only handed to a caller whose API key was
+   * issued to that agent (`keyAgentId`), and only such a caller can add a key
+   * to it.
+   * Returns { agentId, publicKey } (publicKey null when no proof is needed)
+   * or { error: { code, message } }.
+   */
+  checkIdentity(agentId, publicKey, { keyAgentId = null } = {}) {
+    if (!publicKey) {
+      const claimed = agentId ? this.getProfile(agentId) : null;
+      if (this.identityRequired) {
+        return { error: { code: 'identity_required', message: 'An Ed25519 public key is required' } };
+      }
+      if (claimed && claimed.publicKey) {
+        return { error: { code: 'identity_required', message: `Agent ${agentId} is bound to a public key` } };
+      }
+      if (claimed && keyAgentId !== agentId) {
+        return { error: { code: 'api_key_required', message: `Agent ${agentId} already exists; connect with an API key issued to it` } };
+      }
+      return { agentId, publicKey: null };
+    }
+
+    if (!parsePublicKey(publicKey)) {
+      return { error: { code: 'invalid_public_key', message: 'publicKey must be a base64 SPKI Ed25519 key' } };
+    }
+    const resolvedId = agentId || fingerprint(publicKey);
+    const claimed = this.getProfile(resolvedId);
+    if (claimed && claimed.publicKey && claimed.publicKey !== publicKey) {
+      return { error: { code: 'key_mismatch', message: `Agent ${resolvedId} is bound to a different public key` } };
+    }
+    if (claimed && !claimed.publicKey && keyAgentId !== resolvedId) {
+      return { error: { code: 'key_unbound', message: `Agent ${resolvedId} has no bound key; connect with an API key issued to it to bind one` } };
+    }
+    return { agentId: resolvedId, publicKey };
+  }
+
+  /**
+   * Check the signed answer to an identity challenge
+   */
+  verifyIdentity(publicKey, nonce, signature) {
+    if (verifyChallenge(publicKey, nonce, signature)) return {};
+    return { error: { code: 'invalid_signature', message: 'Challenge signature is not valid' } };
+  }
+
   /**
    * Register a new agent connection
+   * The live session attaches to the agent's profile rather than replacing it.
+   * `auth.publicKey` must already be proven. It binds a profile created here,
+   * or an existing one when `auth.keyAgentId` (the agent an API key was issued
+   * to) matches.
    */
   registerAgent(socket, auth) {
     const agentId = auth.agentId || uuidv4();
-    const isAgentZero = auth.name === AGENT_ZERO_NAME;
-    const agentNumber = isAgentZero ? 0 : globalAgentCounter++;
+    const isNew = !this.getProfile(agentId);
+    const profile = this.loadProfile(agentId, auth);
+    const capabilities = auth.capabilities || ['code'];
+
+    const lastCapabilities = profile.capabilitiesHistory[profile.capabilitiesHistory.length - 1];
+    if (!lastCapabilities || lastCapabilities.capabilities.join(',') !== capabilities.join(',')) {
+      profile.capabilitiesHistory.push({ capabilities, since: Date.now() });
+    }
+    if (auth.publicKey && !profile.publicKey && (isNew || auth.keyAgentId === agentId)) {
+      profile.publicKey = auth.publicKey;
+    }
+    profile.name = auth.name || profile.name || `Agent-${agentId.slice(0, 8)}`;
+    profile.lastSeen = Date.now();
+    profile.sessions += 1;
+    this.persistProfile(profile);
 
     const agent = {
       id: agentId,
       socketId: socket.id,
-      number: agentNumber,
-      name: auth.name || `Agent-${agentId.slice(0, 8)}`,
-      displayName: isAgentZero ? `${AGENT_ZERO_NAME}` : `Agent ${agentNumber}`,
-      capabilities: auth.capabilities || ['code'],
+      number: profile.number,
+      name: profile.name,
+      displayName: profile.displayName,
+      capabilities,
+      verified: Boolean(auth.publicKey && profile.publicKey === auth.publicKey),
       avatar: this.generateAvatar(auth.name || agentId),
       color: this.generateColor(agentId),
       status: 'online',
       currentProject: null,
       joinedAt: Date.now(),
+      firstSeen: profile.firstSeen,
       lastSeen: Date.now(),
       lastCodingAt: null,
       resources: {
@@ -44,13 +169,8 @@ class AgentManager {
         ramGb: null,
         storageGb: null
       },
-      stats: {
-        actionsCompleted: 0,
-        tasksCompleted: 0,
-        linesWritten: 0,
-        timeSpentCodingMs: 0,
-        errors: 0
-      }
+      // Shared with the profile so lifetime stats accumulate across sessions
+      stats: profile.stats
     };
 
     this.agents.set(socket.id, agent);
@@ -60,6 +180,15 @@ class AgentManager {
     return agent;
   }
 
+  /**
+   * Hand out the next sequential agent number
+   */
+  nextAgentNumber() {
+    const number = this.agentCounter++;
+    this.storage.put('meta', 'agent-counter', this.agentCounter);
+    return number;
+  }
+
   /**
    * Remove an agent on disconnect
    */
@@ -67,7 +196,16 @@ class AgentManager {
     const agent = this.agents.get(socketId);
     if (agent) {
       this.agents.delete(socketId);
-      this.agentsById.delete(agent.id);
+      // A reconnect may already have attached a newer session to this agentId
+      if (this.agentsById.get(agent.id) === socketId) {
+        this.agentsById.delete(agent.id);
+      }
+
+      const profile = this.profiles.get(agent.id);
+      if (profile) {
+        profile.lastSeen = Date.now();
+        this.persistProfile(profile);
+      }
       console.log(`👋 Agent left: ${agent.name}`);
       return agent;
     }
@@ -156,6 +294,7 @@ class AgentManager {
     const agent = this.agents.get(socketId);
     if (agent && agent.stats[stat] !== undefined) {
       agent.stats[stat] += amount;
+      this.touchProfile(agent);
     }
   }
 
@@ -172,11 +311,23 @@ class AgentManager {
 
     if (last && now - last <= sessionTimeout) {
       agent.stats.timeSpentCodingMs += (now - last);
+      this.touchProfile(agent);
     }
 
     agent.lastCodingAt = now;
   }
 
+  /**
+   * Persist the profile behind a live agent after its stats change
+   */
+  touchProfile(agent) {
+    const profile = this.profiles.get(agent.id);
+    if (profile) {
+      profile.lastSeen = Date.now();
+      this.persistProfile(profile);
+    }
+  }
+
   /**
    * Update compute resources for an agent
    */
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { MemoryAdapter } = require('./storage');
+
+/**
+ * Approval gates - hold sensitive agent actions for a human decision
+ *
+ * A gate names the agent:action types it covers and one condition:
+ * - paths: glob patterns (`*` within a segment, `**` across segments) matched
+ *   against the canonical file path
+ * - taskPriorities: priorities of the task being claimed or completed
+ * - bulk: { count, windowMs } - more than `count` matching actions by one
+ *   agent in one project within the window
+ * A gate without a condition holds every action of its types. `projects`
+ * limits a gate to some project ids.
+ *
+ * A held action becomes a pending proposal. Operators approve it (the action
+ * is applied as proposed) or reject it; either way it is kept for review.
+ * 'proposal-index' keeps the ids of each status in creation order so listing
+ * reads only the proposals it returns.
+ */
+
+const STATUSES = ['pending', 'approved', 'rejected', 'failed'];
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+class ApprovalGates {
+  constructor(storage = new MemoryAdapter(), config = {}) {
+    this.storage = storage;
+    this.gates = (config.gates || []).map((gate, i) => ({
+      ...gate,
+      name: gate.name || `gate-${i + 1}`,
+      pathPatterns: gate.paths ? gate.paths.map(globToRegExp) : null
+    }));
+    this.recent = new Map(); // gate:project:agent -> timestamps, for bulk gates
+    this.bulkWindowMs = Math.max(0, ...this.gates.filter(gate => gate.bulk).map(gate => gate.bulk.windowMs));
+    this.prunedAt = 0;
+    this.migrateIndex();
+  }
+
+  /**
+   * Build the status index for proposals stored before it existed
+   */
+  migrateIndex() {
+    if (this.storage.list('proposal-index').length > 0) return;
+    const proposals = this.storage.list('proposals');
+    if (proposals.length === 0) return;
+
+    proposals.sort((a, b) => a.createdAt - b.createdAt);
+    this.storage.transaction((tx) => {
+      for (const status of STATUSES) {
+        tx.put('proposal-index', status, proposals.filter(p => p.status === status).map(indexEntry));
+      }
+    });
+  }
+
+  /**
+   * Move a proposal's index entry when its status changes
+   */
+  reindex(tx, proposal, from) {
+    if (from) tx.put('proposal-index', from, (tx.get('proposal-index', from) || []).filter(entry => entry.id !== proposal.id));
+    tx.put('proposal-index', proposal.status, [...(tx.get('proposal-index', proposal.status) || []), indexEntry(proposal)]);
+  }
+
+  /**
+   * Forget bulk-gate timestamps that have aged out of every window
+   */
+  pruneRecent(now) {
+    for (const [key, timestamps] of this.recent) {
+      if (now - timestamps[timestamps.length - 1] >= this.bulkWindowMs) this.recent.delete(key);
+    }
+    this.prunedAt = now;
+  }
+
+  /**
+   * Find the first gate holding an action, or null to let it through
+   * `task` is the task a task:* action refers to.
+   */
+  match(project, agentId, action, { task = null, now = Date.now() } = {}) {
+    for (const gate of this.gates) {
+      if (gate.actions && !gate.actions.includes(action.type)) continue;
+      if (gate.projects && !gate.projects.includes(project.id)) continue;
+
+      if (gate.pathPatterns) {
+        if (!action.filePath || !gate.pathPatterns.some(pattern => pattern.test(action.filePath))) continue;
+      }
+      if (gate.taskPriorities) {
+        if (!task || !gate.taskPriorities.includes(task.priority)) continue;
+      }
+      if (gate.bulk) {
+        if (now - this.prunedAt >= this.bulkWindowMs) this.pruneRecent(now);
+        const key = `${gate.name}:${project.id}:${agentId}`;
+        const recent = (this.recent.get(key) || []).filter(ts => now - ts < gate.bulk.windowMs);
+        recent.push(now);
+        this.recent.set(key, recent);
+        if (recent.length <= gate.bulk.count) continue;
+      }
+      return gate;
+    }
+    return null;
+  }
+
+  /**
+   * Hold an action as a pending proposal
+   */
+  propose({ projectId, agent, action, gate }) {
+    const proposal = {
+      id: uuidv4(),
+      projectId,
+      agentId: agent.id,
+      agentName: agent.name,
+      action,
+      gate: gate.name,
+      status: 'pending',
+      createdAt: Date.now(),
+      decidedAt: null,
+      decidedBy: null,
+      reason: null,
+      result: null
+    };
+    this.storage.transaction((tx) => {
+      tx.put('proposals', proposal.id, proposal);
+      this.reindex(tx, proposal, null);
+    });
+    return proposal;
+  }
+
+  get(id) {
+    return this.storage.get('proposals', id);
+  }
+
+  /**
+   * List proposals, newest first
+   * `before` is the id of the last proposal of the previous page.
+   */
+  list({ status = null, projectId = null, agentId = null, before = null, limit = 100 } = {}) {
+    const entries = (status ? [status] : STATUSES)
+      .flatMap(name => this.storage.get('proposal-index', name) || [])
+      .filter(entry => (!projectId || entry.projectId === projectId) && (!agentId || entry.agentId === agentId))
+      .sort((a, b) => b.createdAt - a.createdAt || (a.id < b.id ? 1 : -1));
+
+    // The cursor may have changed status since, so resume from where it sorts
+    const cursor = before ? this.get(before) : null;
+    const start = cursor
+      ? entries.findIndex(entry => entry.createdAt < cursor.createdAt || (entry.createdAt === cursor.createdAt && entry.id < cursor.id))
+      : 0;
+    if (start < 0) return [];
+    return entries.slice(start, start + limit)
+      .map(entry => this.get(entry.id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Approve or reject a pending proposal
+   * Returns the updated proposal, null if unknown, or { error } if it was
+   * already decided.
+   */
+  decide(id, approve, decidedBy, reason = null) {
+    const proposal = this.get(id);
+    if (!proposal) return null;
+    if (proposal.status !== 'pending') {
+      return { error: { code: 'already_decided', message: `Proposal is already ${proposal.status}` } };
+    }
+
+    const decided = {
+      ...proposal,
+      status: approve ? 'approved' : 'rejected',
+      decidedAt: Date.now(),
+      decidedBy,
+      reason
+    };
+    this.storage.transaction((tx) => {
+      tx.put('proposals', id, decided);
+      this.reindex(tx, decided, proposal.status);
+    });
+    return decided;
+  }
+
+  /**
+   * Record what applying an approved proposal produced
+   * An approval whose action then fails (e.g. the agent lost access) ends as 'failed'.
+   */
+  settle(id, { result = null, error = null }) {
+    const proposal = this.get(id);
+    if (!proposal) return null;
+    const settled = error
+      ? { ...proposal, status: 'failed', result: null, error }
+      : { ...proposal, result };
+    this.storage.transaction((tx) => {
+      tx.put('proposals', id, settled);
+      if (settled.status !== proposal.status) this.reindex(tx, settled, proposal.status);
+    });
+    return settled;
+  }
+}
+
+function indexEntry({ id, projectId, agentId, createdAt }) {
+  return { id, projectId, agentId, createdAt };
+}
+
+/**
+ * Load gates from APPROVAL_GATES (inline JSON or a path to a JSON file)
+ */
+function loadApprovalGatesConfig(env = process.env) {
+  const raw = env.APPROVAL_GATES;
+  if (!raw) return {};
+  const text = raw.trim().startsWith('{') ? raw : fs.readFileSync(raw, 'utf8');
+  return JSON.parse(text);
+}
+
+module.exports = { ApprovalGates, loadApprovalGatesConfig, globToRegExp, STATUSES };
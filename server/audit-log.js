@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { MemoryAdapter } = require('./storage');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * JSON with object keys sorted, so equal values always hash the same
+ */
+function canonical(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+}
+
+/**
+ * AuditLog - Hash-chained record of privileged operations
+ *
+ * Each entry stores who did what (actor, role, IP), a SHA-256 digest of the
+ * request payload, and the hash of the previous entry. An entry's own hash
+ * covers every other field, so editing, removing or reordering entries breaks
+ * the chain at that point. The head (last seq and hash) is kept separately, so
+ * truncating the tail is caught as well.
+ *
+ * With a secret, hashes are HMAC-SHA256 keyed by it, so someone who can write
+ * to storage but does not hold the secret cannot rebuild the chain.
+ */
+class AuditLog {
+  constructor(storage = new MemoryAdapter(), { secret = null } = {}) {
+    this.storage = storage;
+    this.secret = secret;
+    this.head = this.storage.get('meta', 'audit-head') || { seq: 0, hash: GENESIS_HASH };
+  }
+
+  key(seq) {
+    return String(seq).padStart(12, '0');
+  }
+
+  hashEntry({ hash: _hash, ...entry }) {
+    if (!this.secret) return sha256(canonical(entry));
+    return crypto.createHmac('sha256', this.secret).update(canonical(entry)).digest('hex');
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} record
+   * @param {string} record.action - e.g. 'broadcast', 'task:create', 'admin:key-issue'
+   * @param {Object} record.actor - { id, name? }
+   * @param {string} record.role - Role the actor held
+   * @param {string} [record.ip]
+   * @param {Object} [record.target] - What was acted on (ids only)
+   * @param {*} [record.payload] - Request payload; only its digest is stored
+   */
+  record({ action, actor, role, ip = null, target = null, payload = null }) {
+    const entry = {
+      seq: this.head.seq + 1,
+      ts: Date.now(),
+      action,
+      actor,
+      role,
+      ip,
+      target,
+      payloadDigest: sha256(canonical(payload)),
+      prevHash: this.head.hash
+    };
+    entry.hash = this.hashEntry(entry);
+
+    const head = { seq: entry.seq, hash: entry.hash };
+    this.storage.transaction((tx) => {
+      tx.put('audit-log', this.key(entry.seq), entry);
+      tx.put('meta', 'audit-head', head);
+    });
+    this.head = head;
+    return entry;
+  }
+
+  /**
+   * Query entries, oldest first
+   * Filters: action, actorId, since/until (ms). Page forwards with `after` (a seq).
+   * Entries are read one by one from `after`, stopping once the page is full
+   * or past `until`.
+   */
+  query({ action = null, actorId = null, since = null, until = null, after = null, limit = 100 } = {}) {
+    const entries = [];
+    for (let seq = (after || 0) + 1; seq <= this.head.seq && entries.length <= limit; seq++) {
+      const entry = this.storage.get('audit-log', this.key(seq));
+      if (!entry) continue;
+      if (until !== null && entry.ts > until) break;
+      if (
+        (!action || entry.action === action) &&
+        (!actorId || entry.actor?.id === actorId) &&
+        (since === null || entry.ts >= since)
+      ) entries.push(entry);
+    }
+    return { entries: entries.slice(0, limit), hasMore: entries.length > limit };
+  }
+
+  /**
+   * Recompute the chain from the first entry
+   * Returns { valid: true, count, head } or { valid: false, seq, reason, count, head }
+   * where `seq` is the first entry that does not check out.
+   */
+  verify() {
+    const entries = this.storage.list('audit-log');
+    const head = this.storage.get('meta', 'audit-head') || { seq: 0, hash: GENESIS_HASH };
+    const broken = (seq, reason) => ({ valid: false, seq, reason, count: entries.length, head });
+
+    let prevHash = GENESIS_HASH;
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (entry.seq !== i + 1) return broken(i + 1, 'missing entry');
+      if (entry.prevHash !== prevHash) return broken(entry.seq, 'chain broken');
+      if (this.hashEntry(entry) !== entry.hash) return broken(entry.seq, 'entry modified');
+      prevHash = entry.hash;
+    }
+
+    if (head.seq !== entries.length || head.hash !== prevHash) {
+      return broken(entries.length + 1, 'head does not match the last entry');
+    }
+    return { valid: true, count: entries.length, head };
+  }
+}
+
+module.exports = { AuditLog, canonical };
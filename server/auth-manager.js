@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { MemoryAdapter } = require('./storage');
+
+const TOKEN_PREFIX = 'hm';
+
+// Higher rank includes everything below it
+const ROLE_RANKS = {
+  agent: 0,
+  viewer: 1,
+  operator: 2,
+  admin: 3
+};
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * AuthManager - API keys for agents and observatory operators
+ *
+ * Tokens look like `hm_<keyId>_<secret>`. Only a SHA-256 of the secret is
+ * stored; the full token is returned once, when the key is issued or rotated.
+ *
+ * Every key carries a role:
+ * - agent:    bound to one agentId, may connect as that agent
+ * - viewer:   read-only observatory
+ * - operator: may broadcast and create tasks
+ * - admin:    everything, including the admin REST API
+ * Agent keys may also be issued with a higher role to grant that agent
+ * privileged events. ADMIN_TOKEN acts as a built-in admin credential.
+ *
+ * Agent modes (AGENT_AUTH):
+ * - required: every agent handshake needs a valid key (default)
+ * - off:      keys are checked when presented but not required; anyone can
+ *             connect as an agent
+ * The legacy shared AGENT_TOKEN is accepted for any agentId and keeps auth
+ * required even with AGENT_AUTH=off.
+ */
+class AuthManager {
+  constructor(storage = new MemoryAdapter(), { mode = 'required', sharedToken = null, adminToken = null, anonymousRole = 'viewer' } = {}) {
+    this.storage = storage;
+    this.sharedToken = sharedToken;
+    this.adminToken = adminToken;
+    this.anonymousRole = ROLE_RANKS[anonymousRole] !== undefined ? anonymousRole : 'viewer';
+    this.required = mode !== 'off' || Boolean(sharedToken);
+  }
+
+  /**
+   * Whether a role includes the required one
+   */
+  hasRole(role, required) {
+    return (ROLE_RANKS[role] ?? -1) >= ROLE_RANKS[required];
+  }
+
+  isRole(role) {
+    return ROLE_RANKS[role] !== undefined;
+  }
+
+  /**
+   * Strip the hash before a key leaves the server
+   */
+  describe({ hash: _hash, ...key }) {
+    return key;
+  }
+
+  /**
+   * Issue a new key
+   * Agent keys need an agentId; observatory keys (viewer/operator/admin) may omit it.
+   * Returns { key, token }; the token is not recoverable later.
+   */
+  issue({ agentId = null, role = 'agent', label = '', rotatedFrom = null }) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const key = {
+      id,
+      agentId,
+      role,
+      label,
+      hash: hash(secret),
+      createdAt: Date.now(),
+      lastUsedAt: null,
+      revokedAt: null,
+      rotatedFrom
+    };
+
+    this.storage.put('agent-keys', id, key);
+    return { key: this.describe(key), token: `${TOKEN_PREFIX}_${id}_${secret}` };
+  }
+
+  /**
+   * List keys, optionally for one agent
+   */
+  list(agentId = null) {
+    return this.storage.list('agent-keys')
+      .filter(key => !agentId || key.agentId === agentId)
+      .map(key => this.describe(key));
+  }
+
+  /**
+   * Revoke a key; returns the revoked key or null
+   */
+  revoke(keyId) {
+    const key = this.storage.get('agent-keys', keyId);
+    if (!key) return null;
+    if (!key.revokedAt) {
+      key.revokedAt = Date.now();
+      this.storage.put('agent-keys', keyId, key);
+    }
+    return this.describe(key);
+  }
+
+  /**
+   * Replace a key with a fresh one carrying the same agent, role and label
+   * Returns { key, token, revoked } or null if the key does not exist.
+   */
+  rotate(keyId) {
+    const key = this.storage.get('agent-keys', keyId);
+    if (!key) return null;
+    if (key.revokedAt) return { error: 'Key is revoked' };
+
+    const issued = this.issue({ agentId: key.agentId, role: key.role || 'agent', label: key.label, rotatedFrom: keyId });
+    const revoked = this.revoke(keyId);
+    return { ...issued, revoked };
+  }
+
+  /**
+   * Look up a key token
+   * Returns the stored key or { error: { code, message } }.
+   */
+  checkKey(token) {
+    const match = /^hm_([0-9a-f]+)_(.+)$/.exec(String(token));
+    const key = match && this.storage.get('agent-keys', match[1]);
+    if (!key || !safeEqual(hash(match[2]), key.hash)) {
+      return { error: { code: 'invalid_token', message: 'Token is not valid' } };
+    }
+    if (key.revokedAt) {
+      return { error: { code: 'token_revoked', message: 'Token has been revoked' } };
+    }
+
+    key.lastUsedAt = Date.now();
+    this.storage.put('agent-keys', key.id, key);
+    return key;
+  }
+
+  /**
+   * Check an agent handshake token
+   * Returns { agentId, keyId, role } on success (agentId is null for the
+   * shared token or when auth is optional and no token was sent), or
+   * { error: { code, message } } on failure.
+   */
+  verify(token) {
+    if (!token) {
+      if (this.required) return { error: { code: 'auth_required', message: 'An agent token is required' } };
+      return { agentId: null, keyId: null, role: 'agent' };
+    }
+
+    if (this.sharedToken && safeEqual(String(token), this.sharedToken)) {
+      return { agentId: null, keyId: null, role: 'agent' };
+    }
+
+    const key = this.checkKey(token);
+    if (key.error) return key;
+    if (!key.agentId) {
+      return { error: { code: 'wrong_credential', message: 'Observatory keys cannot register agents' } };
+    }
+    return { agentId: key.agentId, keyId: key.id, role: key.role || 'agent' };
+  }
+
+  /**
+   * Identify the holder of any credential
+   * No token falls back to the anonymous role (OBSERVATORY_ROLE).
+   * Returns { role, agentId, keyId } or { error: { code, message } }.
+   */
+  identify(token) {
+    if (!token) return { role: this.anonymousRole, agentId: null, keyId: null };
+
+    if (this.adminToken && safeEqual(String(token), this.adminToken)) {
+      return { role: 'admin', agentId: null, keyId: null };
+    }
+
+    const key = this.checkKey(token);
+    if (key.error) return key;
+    return { role: key.role || 'agent', agentId: key.agentId, keyId: key.id };
+  }
+
+  /**
+   * Resolve the role for an observatory connection
+   * Returns { role, keyId } or { error: { code, message } }.
+   */
+  verifyOperator(token) {
+    const result = this.identify(token);
+    if (result.error) return result;
+    if (!this.hasRole(result.role, 'viewer')) {
+      return { error: { code: 'wrong_credential', message: 'Agent keys cannot open the observatory' } };
+    }
+    return { role: result.role, keyId: result.keyId };
+  }
+}
+
+AuthManager.ROLES = Object.keys(ROLE_RANKS);
+
+module.exports = AuthManager;
@@ -1,13 +1,15 @@
 const { io } = require('socket.io-client');
+const { generateIdentity, signChallenge } = require('./agent-identity');
 
 /**
  * DemoAgents - Simulated AI agents that work together on the demo project
  */
 class DemoAgents {
-  constructor(ioServer, agentManager, projectManager) {
+  constructor(ioServer, agentManager, projectManager, authManager = null) {
     this.ioServer = ioServer;
     this.agentManager = agentManager;
     this.projectManager = projectManager;
+    this.authManager = authManager;
     this.agents = [];
     this.isRunning = false;
   }
@@ -77,10 +79,20 @@ class DemoAgents {
    * Create a simulated agent connection
    */
   createAgent(config) {
+    const agentId = `demo-${config.name.toLowerCase()}-${Date.now()}`;
+    // Demo agents need their own keys when the server requires agent auth
+    const token = this.authManager && this.authManager.required
+      ? this.authManager.issue({ agentId, label: 'demo agent' }).token
+      : undefined;
+
+    const identity = generateIdentity();
+
     const socket = io('http://localhost:3000', {
       auth: {
         type: 'agent',
-        agentId: `demo-${config.name.toLowerCase()}-${Date.now()}`,
+        token,
+        agentId,
+        publicKey: identity.publicKey,
         name: config.name,
         capabilities: config.capabilities,
         isDemo: true
@@ -96,6 +108,10 @@ class DemoAgents {
       cursor: { file: null, line: 0, column: 0 }
     };
 
+    socket.on('agent:challenge', ({ nonce }) => {
+      socket.emit('agent:challenge:response', { signature: signChallenge(identity.privateKey, nonce) });
+    });
+
     socket.on('connect', () => {
       console.log(`🤖 Demo agent connected: ${config.name}`);
       agent.state = 'connected';
@@ -0,0 +1,243 @@
+/**
+ * Diff and merge - Myers shortest edit script over sequences of strings
+ *
+ * Sequences are usually the lines of a file. A diff is a list of hunks
+ * { aStart, aEnd, bStart, bEnd }: half-open ranges where `a` was replaced by
+ * `b` (an empty range on one side is a pure insert or delete). Everything
+ * between hunks is equal.
+ *
+ * Built on that: three-way merges, unified-diff hunks and word diffs.
+ */
+
+// Past this many edits a diff gives up and reports the whole middle as one hunk
+const MAX_EDITS = 2000;
+
+/**
+ * Diff two sequences
+ * Common prefix and suffix are trimmed before the search.
+ */
+function diffSequences(a, b, { maxEdits = MAX_EDITS } = {}) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n === 0 && m === 0) return [];
+  const whole = [{ aStart: start, aEnd: endA, bStart: start, bEnd: endB }];
+  if (n === 0 || m === 0) return whole;
+
+  const matches = shortestEdit(a.slice(start, endA), b.slice(start, endB), maxEdits);
+  if (!matches) return whole;
+
+  // Hunks are the gaps between matched pairs
+  const hunks = [];
+  let x = 0;
+  let y = 0;
+  for (const [mx, my] of [...matches, [n, m]]) {
+    if (mx > x || my > y) {
+      hunks.push({ aStart: start + x, aEnd: start + mx, bStart: start + y, bEnd: start + my });
+    }
+    x = mx + 1;
+    y = my + 1;
+  }
+  return hunks;
+}
+
+/**
+ * Myers' O(ND) search; returns the matched index pairs in order, or null
+ * when the sequences differ by more than `maxEdits`
+ */
+function shortestEdit(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Keep only the diagonals the backtrack reads at this depth
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, n, m);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, n, m) {
+  const matches = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      matches.push([x, y]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return matches.reverse();
+}
+
+/**
+ * Three-way merge of two sequences derived from a common base
+ * Changes from one side apply as they are. Where both sides changed the same
+ * or adjacent base lines they must agree; otherwise that region is a conflict.
+ * Returns { result, conflicts: [{ baseStart, baseEnd, base, ours, theirs }] };
+ * `result` keeps our side in conflicting regions.
+ */
+function merge3(base, ours, theirs) {
+  const hunks = [
+    ...diffSequences(base, ours).map(hunk => ({ ...hunk, side: ours })),
+    ...diffSequences(base, theirs).map(hunk => ({ ...hunk, side: theirs }))
+  ].sort((a, b) => a.aStart - b.aStart || a.aEnd - b.aEnd);
+
+  const result = [];
+  const conflicts = [];
+  let pos = 0;
+  let i = 0;
+
+  while (i < hunks.length) {
+    const group = [hunks[i]];
+    const lo = hunks[i].aStart;
+    let hi = hunks[i].aEnd;
+    i++;
+    while (i < hunks.length && hunks[i].aStart <= hi) {
+      hi = Math.max(hi, hunks[i].aEnd);
+      group.push(hunks[i]);
+      i++;
+    }
+
+    // A side's text over base[lo, hi), widened by the base lines it left alone
+    const sideText = (side) => {
+      const own = group.filter(hunk => hunk.side === side);
+      if (own.length === 0) return base.slice(lo, hi);
+      const first = own[0];
+      const last = own[own.length - 1];
+      return side.slice(first.bStart - (first.aStart - lo), last.bEnd + (hi - last.aEnd));
+    };
+    const ourText = sideText(ours);
+    const theirText = sideText(theirs);
+
+    result.push(...base.slice(pos, lo));
+    if (!group.some(hunk => hunk.side === theirs) || sameSequence(ourText, theirText)) {
+      result.push(...ourText);
+    } else if (!group.some(hunk => hunk.side === ours)) {
+      result.push(...theirText);
+    } else {
+      conflicts.push({ baseStart: lo, baseEnd: hi, base: base.slice(lo, hi), ours: ourText, theirs: theirText });
+      result.push(...ourText);
+    }
+    pos = hi;
+  }
+  result.push(...base.slice(pos));
+
+  return { result, conflicts };
+}
+
+function sameSequence(a, b) {
+  return a.length === b.length && a.every((item, i) => item === b[i]);
+}
+
+/**
+ * Unified-diff hunks between two line arrays
+ * Each hunk is { oldStart, oldLines, newStart, newLines, lines } with 1-based
+ * starts and lines prefixed ' ', '-' or '+'. Changes closer than twice the
+ * context are shown in one hunk.
+ */
+function unifiedHunks(a, b, { context = 3 } = {}) {
+  const changes = diffSequences(a, b);
+  const hunks = [];
+  let i = 0;
+
+  while (i < changes.length) {
+    const group = [changes[i]];
+    i++;
+    while (i < changes.length && changes[i].aStart - group[group.length - 1].aEnd <= 2 * context) {
+      group.push(changes[i]);
+      i++;
+    }
+
+    const first = group[0];
+    const last = group[group.length - 1];
+    const aFrom = Math.max(0, first.aStart - context);
+    const bFrom = first.bStart - (first.aStart - aFrom);
+    const aTo = Math.min(a.length, last.aEnd + context);
+    const bTo = last.bEnd + (aTo - last.aEnd);
+
+    const lines = [];
+    let pos = aFrom;
+    for (const change of group) {
+      for (; pos < change.aStart; pos++) lines.push(` ${a[pos]}`);
+      for (let k = change.aStart; k < change.aEnd; k++) lines.push(`-${a[k]}`);
+      for (let k = change.bStart; k < change.bEnd; k++) lines.push(`+${b[k]}`);
+      pos = change.aEnd;
+    }
+    for (; pos < aTo; pos++) lines.push(` ${a[pos]}`);
+
+    // Like diff -u, an empty side starts at the line before the hunk
+    hunks.push({
+      oldStart: aTo > aFrom ? aFrom + 1 : aFrom,
+      oldLines: aTo - aFrom,
+      newStart: bTo > bFrom ? bFrom + 1 : bFrom,
+      newLines: bTo - bFrom,
+      lines
+    });
+  }
+  return hunks;
+}
+
+const WORD_PATTERN = /\s+|\w+|[^\w\s]/g;
+
+/**
+ * Word-level diff of two lines
+ * Returns segments [op, text] where op is '=', '-' or '+'; runs of the same
+ * op are joined.
+ */
+function wordDiff(oldLine, newLine) {
+  const a = oldLine.match(WORD_PATTERN) || [];
+  const b = newLine.match(WORD_PATTERN) || [];
+  const segments = [];
+  const push = (op, text) => {
+    if (text === '') return;
+    const last = segments[segments.length - 1];
+    if (last && last[0] === op) last[1] += text;
+    else segments.push([op, text]);
+  };
+
+  let pos = 0;
+  for (const change of diffSequences(a, b)) {
+    push('=', a.slice(pos, change.aStart).join(''));
+    push('-', a.slice(change.aStart, change.aEnd).join(''));
+    push('+', b.slice(change.bStart, change.bEnd).join(''));
+    pos = change.aEnd;
+  }
+  push('=', a.slice(pos).join(''));
+  return segments;
+}
+
+module.exports = { diffSequences, merge3, unifiedHunks, wordDiff, MAX_EDITS };
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+
+const SEGMENT_PATTERN = /^segment-(\d+)\.jsonl$/;
+const COMPACT_DIR = '.compact';
+const META_FILE = 'meta.json';
+
+/**
+ * EventLog - Append-only JSONL log split into rotating segment files
+ *
+ * fsync modes:
+ * - always:   fsync after every append (safest, slowest)
+ * - interval: fsync on a timer (default)
+ * - never:    leave flushing to the OS
+ */
+class EventLog {
+  constructor({ dir, segmentBytes = 8 * 1024 * 1024, fsync = 'interval', fsyncIntervalMs = 1000 }) {
+    this.dir = dir;
+    this.segmentBytes = segmentBytes;
+    this.fsyncMode = fsync;
+    this.fsyncIntervalMs = fsyncIntervalMs;
+    this.fd = null;
+    this.segmentIndex = 0;
+    this.segmentSize = 0;
+    this.dirty = false;
+    this.fsyncTimer = null;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * List segment files in write order
+   */
+  listSegments() {
+    return fs.readdirSync(this.dir)
+      .filter(name => SEGMENT_PATTERN.test(name))
+      .map(name => ({ name, index: parseInt(name.match(SEGMENT_PATTERN)[1], 10) }))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Finish or discard a compaction interrupted by a crash
+   * A compaction only counts once its COMPLETE marker has been written.
+   */
+  recover() {
+    const staging = path.join(this.dir, COMPACT_DIR);
+    if (!fs.existsSync(staging)) return;
+
+    if (fs.existsSync(path.join(staging, 'COMPLETE'))) {
+      this.swapInCompacted(staging);
+    } else {
+      fs.rmSync(staging, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Rename staged segments over the live ones, then drop any live segments
+   * past the new tail. Safe to repeat if interrupted part-way.
+   */
+  swapInCompacted(staging) {
+    const { count } = JSON.parse(fs.readFileSync(path.join(staging, 'COMPLETE'), 'utf8'));
+    for (const name of fs.readdirSync(staging)) {
+      if (SEGMENT_PATTERN.test(name) || name === META_FILE) fs.renameSync(path.join(staging, name), path.join(this.dir, name));
+    }
+    for (const { name, index } of this.listSegments()) {
+      if (index > count) fs.rmSync(path.join(this.dir, name));
+    }
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+
+  /**
+   * Rewrite the log so it holds exactly `events`
+   * New segments are staged and marked complete before the old ones are replaced.
+   * `meta` is stored beside them and read back with readMeta().
+   */
+  compact(events, meta = {}) {
+    const staging = path.join(this.dir, COMPACT_DIR);
+    fs.rmSync(staging, { recursive: true, force: true });
+    fs.mkdirSync(staging);
+    fs.writeFileSync(path.join(staging, META_FILE), JSON.stringify(meta));
+
+    let index = 1;
+    let lines = [];
+    let size = 0;
+    const flush = () => {
+      const fd = fs.openSync(path.join(staging, `segment-${String(index).padStart(6, '0')}.jsonl`), 'w');
+      fs.writeSync(fd, lines.join(''));
+      fs.fsyncSync(fd);
+      fs.closeSync(fd);
+      index++;
+      lines = [];
+      size = 0;
+    };
+
+    for (const event of events) {
+      const line = JSON.stringify(event) + '\n';
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > this.segmentBytes) flush();
+      lines.push(line);
+      size += bytes;
+    }
+    flush();
+    fs.writeFileSync(path.join(staging, 'COMPLETE.tmp'), JSON.stringify({ count: index - 1 }));
+    fs.renameSync(path.join(staging, 'COMPLETE.tmp'), path.join(staging, 'COMPLETE'));
+
+    const wasOpen = this.fd !== null;
+    if (wasOpen) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+      this.dirty = false;
+    }
+    this.swapInCompacted(staging);
+    if (wasOpen) this.openSegment(index - 1);
+  }
+
+  /**
+   * Read every event back from disk, oldest first
+   * A torn final line (crash mid-write) is skipped rather than failing the boot.
+   */
+  replay() {
+    this.recover();
+    const events = [];
+    for (const { name } of this.listSegments()) {
+      const lines = fs.readFileSync(path.join(this.dir, name), 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line) continue;
+        try {
+          events.push(JSON.parse(line));
+        } catch (err) {
+          console.error(`⚠️ Skipping corrupt event in ${name}`);
+        }
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Metadata stored by the last compaction, or {}
+   */
+  readMeta() {
+    const file = path.join(this.dir, META_FILE);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  }
+
+  /**
+   * Open the newest segment for appending
+   */
+  open() {
+    const segments = this.listSegments();
+    const last = segments[segments.length - 1];
+    this.openSegment(last ? last.index : 1);
+
+    if (this.fsyncMode === 'interval') {
+      this.fsyncTimer = setInterval(() => this.sync(), this.fsyncIntervalMs);
+      this.fsyncTimer.unref();
+    }
+  }
+
+  openSegment(index) {
+    if (this.fd !== null) {
+      this.sync();
+      fs.closeSync(this.fd);
+    }
+    const file = path.join(this.dir, `segment-${String(index).padStart(6, '0')}.jsonl`);
+    this.fd = fs.openSync(file, 'a');
+    this.segmentIndex = index;
+    this.segmentSize = fs.fstatSync(this.fd).size;
+  }
+
+  /**
+   * Append a single event as one JSON line
+   */
+  append(event) {
+    if (this.fd === null) this.open();
+
+    const line = JSON.stringify(event) + '\n';
+    const bytes = Buffer.byteLength(line);
+
+    if (this.segmentSize > 0 && this.segmentSize + bytes > this.segmentBytes) {
+      this.openSegment(this.segmentIndex + 1);
+    }
+
+    fs.writeSync(this.fd, line);
+    this.segmentSize += bytes;
+    this.dirty = true;
+
+    if (this.fsyncMode === 'always') this.sync();
+  }
+
+  /**
+   * Flush pending writes to disk
+   */
+  sync() {
+    if (this.fd === null || !this.dirty) return;
+    fs.fsyncSync(this.fd);
+    this.dirty = false;
+  }
+
+  close() {
+    if (this.fsyncTimer) {
+      clearInterval(this.fsyncTimer);
+      this.fsyncTimer = null;
+    }
+    if (this.fd !== null) {
+      this.sync();
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+/**
+ * Pick an event log from the environment
+ * MEMORY_LOG=file writes segments under DATA_DIR/memory, anything else keeps the bus in memory
+ */
+function createEventLog(env = process.env) {
+  if (env.MEMORY_LOG !== 'file') return null;
+
+  const dataDir = env.DATA_DIR || path.join(__dirname, '../data');
+  return new EventLog({
+    dir: path.join(dataDir, 'memory'),
+    segmentBytes: parseInt(env.MEMORY_SEGMENT_BYTES) || undefined,
+    fsync: env.MEMORY_FSYNC || undefined,
+    fsyncIntervalMs: parseInt(env.MEMORY_FSYNC_INTERVAL) || undefined
+  });
+}
+
+module.exports = { EventLog, createEventLog };
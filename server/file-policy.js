@@ -0,0 +1,125 @@
+const fs = require('fs');
+
+/**
+ * File policy - canonical file paths and per-project storage quotas
+ *
+ * Paths are project-relative, use `/` separators and are NFC-normalised;
+ * `.` segments and repeated slashes collapse away. Absolute paths, `..`
+ * segments and control characters are rejected.
+ *
+ * Quotas limit the number of files, the size of a single file and the total
+ * bytes in a project. Defaults apply everywhere, with per-project overrides.
+ */
+
+const MAX_PATH_LENGTH = 1024;
+const MAX_SEGMENT_LENGTH = 255;
+
+const DEFAULT_QUOTAS = {
+  maxFiles: 1000,
+  maxFileBytes: 1024 * 1024,
+  maxTotalBytes: 50 * 1024 * 1024
+};
+
+const pathError = (code, message) => ({ error: { code, message } });
+
+/**
+ * Canonicalise a file path
+ * Returns { path } or { error: { code, message } }.
+ */
+function normalizeFilePath(filePath) {
+  if (typeof filePath !== 'string' || filePath.trim() === '') {
+    return pathError('invalid_path', 'File path must be a non-empty string');
+  }
+  if (/[\u0000-\u001f\u007f]/.test(filePath)) {
+    return pathError('invalid_path', 'File path must not contain control characters');
+  }
+
+  const unified = filePath.normalize('NFC').replace(/\\/g, '/');
+  if (unified.startsWith('/') || /^[a-zA-Z]:/.test(unified)) {
+    return pathError('absolute_path', `File path must be relative to the project: ${filePath}`);
+  }
+
+  const segments = unified.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (segments.includes('..')) {
+    return pathError('path_traversal', `File path must not contain '..': ${filePath}`);
+  }
+  if (segments.length === 0) {
+    return pathError('invalid_path', `File path has no file name: ${filePath}`);
+  }
+  if (segments.some(segment => segment.trim() === '' || segment.length > MAX_SEGMENT_LENGTH)) {
+    return pathError('invalid_path', `File path has a blank or overlong segment: ${filePath}`);
+  }
+
+  const path = segments.join('/');
+  if (path.length > MAX_PATH_LENGTH) {
+    return pathError('invalid_path', `File path is longer than ${MAX_PATH_LENGTH} characters`);
+  }
+  return { path };
+}
+
+/**
+ * FilePolicy - Resolves quotas and checks writes against them
+ */
+class FilePolicy {
+  constructor(config = {}) {
+    this.config = {
+      defaults: { ...DEFAULT_QUOTAS, ...(config.defaults || {}) },
+      projects: config.projects || {}
+    };
+  }
+
+  /**
+   * Resolve the quotas for a project
+   */
+  quotas(projectId) {
+    return { ...this.config.defaults, ...(this.config.projects[projectId] || {}) };
+  }
+
+  /**
+   * Current file count and bytes for a project
+   */
+  usage(project) {
+    const files = Object.values(project.files);
+    return {
+      files: files.length,
+      totalBytes: files.reduce((sum, file) => sum + Buffer.byteLength(file.content || ''), 0)
+    };
+  }
+
+  /**
+   * Check writing `content` to `filePath`
+   * Returns null when it fits, otherwise { error: { code, message, limit } }.
+   */
+  check(project, filePath, content) {
+    const quotas = this.quotas(project.id);
+    const bytes = Buffer.byteLength(content || '');
+    const existing = project.files[filePath];
+
+    if (bytes > quotas.maxFileBytes) {
+      return { error: { code: 'file_too_large', message: `${filePath} is ${bytes} bytes; the limit is ${quotas.maxFileBytes}`, limit: quotas.maxFileBytes } };
+    }
+
+    const { files, totalBytes } = this.usage(project);
+    if (!existing && files >= quotas.maxFiles) {
+      return { error: { code: 'too_many_files', message: `Project already has the maximum of ${quotas.maxFiles} files`, limit: quotas.maxFiles } };
+    }
+
+    const nextTotal = totalBytes - (existing ? Buffer.byteLength(existing.content || '') : 0) + bytes;
+    if (nextTotal > quotas.maxTotalBytes) {
+      return { error: { code: 'project_too_large', message: `Project would hold ${nextTotal} bytes; the limit is ${quotas.maxTotalBytes}`, limit: quotas.maxTotalBytes } };
+    }
+    return null;
+  }
+}
+
+/**
+ * Load quotas from PROJECT_QUOTAS (inline JSON or a path to a JSON file)
+ */
+function loadFilePolicyConfig(env = process.env) {
+  const raw = env.PROJECT_QUOTAS;
+  if (!raw) return {};
+  const text = raw.trim().startsWith('{') ? raw : fs.readFileSync(raw, 'utf8');
+  return JSON.parse(text);
+}
+
+module.exports = { FilePolicy, normalizeFilePath, loadFilePolicyConfig, DEFAULT_QUOTAS };
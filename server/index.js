@@ -10,6 +10,18 @@ const ProjectManager = require('./project-manager');
 const SyncEngine = require('./sync-engine');
 const MemoryBus = require('./memory-bus');
 const TaskEngine = require('./task-engine');
+const { createStorage } = require('./storage');
+const { exportProject, importProject } = require('./project-bundle');
+const { ProjectionEngine, registerDefaultProjections } = require('./projections');
+const { RetentionManager, loadRetentionConfig, GLOBAL_SCOPE } = require('./retention');
+const AuthManager = require('./auth-manager');
+const { RateLimiter, loadRateLimitConfig } = require('./rate-limiter');
+const { AuditLog } = require('./audit-log');
+const { FilePolicy, loadFilePolicyConfig } = require('./file-policy');
+const { SecretScanner, loadSecretScanConfig } = require('./secret-scanner');
+const { ApprovalGates, loadApprovalGatesConfig, STATUSES: PROPOSAL_STATUSES } = require('./approval-gates');
+const { createEventLog } = require('./event-log');
+const { REST_SCHEMAS, validate } = require('../sdk/lib/schemas');
 
 const app = express();
 const httpServer = createServer(app);
@@ -22,6 +34,8 @@ const io = new Server(httpServer, {
 });
 
 // Middleware
+// Project bundles can be far larger than ordinary request bodies
+app.use('/api/projects/import', express.json({ limit: process.env.IMPORT_BODY_LIMIT || '50mb' }));
 app.use(express.json());
 
 const fs = require('fs');
@@ -31,45 +45,251 @@ const clientPath = fs.existsSync(clientV2Path) ? clientV2Path : legacyClientPath
 app.use(express.static(clientPath));
 
 // Core services
-const agentManager = new AgentManager();
-const projectManager = new ProjectManager();
-const syncEngine = new SyncEngine();
-const memoryBus = new MemoryBus();
-const taskEngine = new TaskEngine();
-const socketHandler = new SocketHandler(io, agentManager, projectManager, syncEngine, memoryBus, taskEngine);
+const storage = createStorage();
+const retention = new RetentionManager(storage, loadRetentionConfig());
+const agentManager = new AgentManager(storage, {
+  identityMode: process.env.AGENT_IDENTITY,
+  agentZeroKey: process.env.AGENT_ZERO_KEY || null
+});
+const projectManager = new ProjectManager(storage, retention, new FilePolicy(loadFilePolicyConfig()), {
+  maxRevisions: parseInt(process.env.MAX_FILE_REVISIONS) || 100
+});
+const syncEngine = new SyncEngine(storage, retention);
+const memoryBus = new MemoryBus(createEventLog());
+const taskEngine = new TaskEngine(storage);
+const projections = registerDefaultProjections(new ProjectionEngine(memoryBus, storage, {
+  snapshotIntervalMs: parseInt(process.env.PROJECTION_SNAPSHOT_INTERVAL) || 60000
+}));
+projections.start();
+// Views are snapshotted before compaction, so their snapshots cover every dropped event
+retention.start(memoryBus, parseInt(process.env.RETENTION_INTERVAL) || 300000, {
+  beforeCompact: () => projections.snapshot()
+});
+const authManager = new AuthManager(storage, {
+  mode: process.env.AGENT_AUTH,
+  sharedToken: process.env.AGENT_TOKEN || null,
+  adminToken: process.env.ADMIN_TOKEN || null,
+  anonymousRole: process.env.OBSERVATORY_ROLE || 'viewer'
+});
+if (!authManager.required) {
+  console.log('⚠️ AGENT_AUTH=off: any client can connect and act as an agent without a key');
+} else if (!process.env.ADMIN_TOKEN && !process.env.AGENT_TOKEN) {
+  console.log('⚠️ Agent auth is required but neither ADMIN_TOKEN nor AGENT_TOKEN is set; no agent key can be issued');
+}
+const rateLimiter = new RateLimiter(loadRateLimitConfig());
+if (!process.env.AUDIT_SECRET) {
+  console.log('⚠️ AUDIT_SECRET is not set; anyone who can write to storage can rewrite the audit log');
+}
+const auditLog = new AuditLog(storage, { secret: process.env.AUDIT_SECRET || null });
+const secretScanner = new SecretScanner(loadSecretScanConfig());
+const approvalGates = new ApprovalGates(storage, loadApprovalGatesConfig());
+const socketHandler = new SocketHandler(io, agentManager, projectManager, syncEngine, memoryBus, taskEngine, projections, authManager, rateLimiter, auditLog, secretScanner, approvalGates);
+
+// REST callers present any API key (or ADMIN_TOKEN) as a bearer token;
+// without one they get the anonymous role
+const identifyCaller = (req, res, next) => {
+  const token = (req.get('authorization') || '').replace(/^Bearer /, '') || null;
+  const result = authManager.identify(token);
+  if (result.error) {
+    return res.status(401).json({ error: result.error.message, code: result.error.code });
+  }
+  req.caller = result;
+  req.role = result.role;
+  next();
+};
+
+const requireRole = (role) => [identifyCaller, (req, res, next) => {
+  if (!authManager.hasRole(req.role, role)) {
+    return res.status(403).json({ error: `Requires the ${role} role`, code: 'forbidden' });
+  }
+  next();
+}];
+const requireAdmin = requireRole('admin');
+
+// Operators see every project; everyone else goes through project membership
+const canAccessProject = (caller, projectId, permission) => (
+  authManager.hasRole(caller.role, 'operator') || projectManager.can(projectId, caller.agentId, permission)
+);
+
+const requireProject = (permission) => [identifyCaller, (req, res, next) => {
+  if (!projectManager.getProject(req.params.id)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (!canAccessProject(req.caller, req.params.id, permission)) {
+    return res.status(403).json({ error: `Requires the ${permission} permission on this project`, code: 'forbidden' });
+  }
+  next();
+}];
+
+// Check req.body against the shared schema for a route before its handler runs
+const validateBody = (route) => (req, res, next) => {
+  const error = validate(REST_SCHEMAS[route], req.body);
+  if (error) {
+    return res.status(400).json({ error: error.message, code: error.code, path: error.path, reason: error.reason });
+  }
+  next();
+};
+
+// The caller's agent or key, as recorded in the audit log and on decisions
+const callerId = (req) => req.caller.agentId || req.caller.keyId || (req.role === 'admin' ? 'admin-token' : 'anonymous');
+
+// Record a privileged REST call; the actor is the caller's agent or key
+const audit = (req, action, target = null) => {
+  try {
+    auditLog.record({
+      action,
+      actor: { id: callerId(req), keyId: req.caller.keyId || null },
+      role: req.role,
+      ip: req.ip,
+      target,
+      payload: req.body
+    });
+  } catch (err) {
+    console.error(`⚠️ Failed to audit ${action}: ${err.message}`);
+  }
+};
+
+// Hides events from projects the caller cannot read
+const readableEvents = (caller) => (event) => !event.projectId || canAccessProject(caller, event.projectId, 'read');
 
 // Routes
 app.get('/', (req, res) => {
   res.sendFile(path.join(clientPath, 'index.html'));
 });
 
-app.get('/api/projects', (req, res) => {
-  res.json(projectManager.getAllProjects());
+app.get('/api/projects', identifyCaller, (req, res) => {
+  res.json(projectManager.getAllProjects().filter(p => canAccessProject(req.caller, p.id, 'read')));
+});
+
+app.post('/api/projects', requireRole('operator'), validateBody('POST /api/projects'), (req, res) => {
+  const { name, description = '', visibility = 'public' } = req.body;
+  const project = projectManager.createProject(name, description, visibility);
+  audit(req, 'project:create', { projectId: project.id });
+  res.status(201).json(projectManager.getAllProjects().find(p => p.id === project.id));
+});
+
+app.post('/api/projects/import', requireRole('operator'), validateBody('POST /api/projects/import'), (req, res) => {
+  const remapIds = req.query.remapIds === 'true' || req.query.remapIds === '1';
+  const owner = req.caller.agentId || null;
+  const result = importProject({ projectManager, syncEngine, memoryBus }, req.body, { remapIds, owner });
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, ...(result.code ? { code: result.code } : {}) });
+  }
+  audit(req, 'project:import', { projectId: result.project.id });
+  res.status(201).json(projectManager.getAllProjects().find(p => p.id === result.project.id));
 });
 
-app.get('/api/projects/:id', (req, res) => {
-  const project = projectManager.getProject(req.params.id);
-  if (!project) {
+app.get('/api/projects/:id/export', requireProject('read'), (req, res) => {
+  const bundle = exportProject({ projectManager, syncEngine, memoryBus }, req.params.id);
+  if (!bundle) {
     return res.status(404).json({ error: 'Project not found' });
   }
-  res.json(project);
+  res.attachment(`${req.params.id}.hivemind.json`);
+  res.json(bundle);
+});
+
+// File paths contain slashes, so they are matched with a wildcard
+app.get('/api/projects/:id/files/*/revisions', requireProject('read'), (req, res) => {
+  const revisions = projectManager.getRevisions(req.params.id, req.params[0]);
+  if (!revisions) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.json({ filePath: req.params[0], revisions });
+});
+
+app.get('/api/projects/:id/files/*/revisions/:version', requireProject('read'), (req, res) => {
+  const revision = projectManager.getRevision(req.params.id, req.params[0], parseInt(req.params.version, 10));
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+  res.json({ filePath: req.params[0], ...revision });
+});
+
+app.get('/api/projects/:id', requireProject('read'), (req, res) => {
+  res.json(projectManager.getProject(req.params.id));
+});
+
+app.put('/api/projects/:id/access', requireRole('operator'), validateBody('PUT /api/projects/:id/access'), (req, res) => {
+  const result = projectManager.setVisibility(req.params.id, req.body.visibility);
+  if (!result) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  socketHandler.evictFromProject(req.params.id);
+  audit(req, 'project:access', { projectId: result.id });
+  res.json({ id: result.id, visibility: result.visibility, members: projectManager.getMembers(result.id) });
+});
+
+app.put('/api/projects/:id/secret-policy', requireRole('operator'), validateBody('PUT /api/projects/:id/secret-policy'), (req, res) => {
+  const result = projectManager.setSecretMode(req.params.id, req.body.mode);
+  if (!result) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  audit(req, 'project:secret-policy', { projectId: result.id });
+  res.json({ id: result.id, mode: secretScanner.modeFor(result), inherited: !result.secretMode });
+});
+
+app.get('/api/projects/:id/usage', requireProject('read'), (req, res) => {
+  res.json(projectManager.getUsage(req.params.id));
+});
+
+app.get('/api/projects/:id/members', requireProject('read'), (req, res) => {
+  res.json({ members: projectManager.getMembers(req.params.id) });
+});
+
+app.post('/api/projects/:id/members', requireRole('operator'), validateBody('POST /api/projects/:id/members'), (req, res) => {
+  const { agentId, permissions = ['read'] } = req.body;
+  const member = projectManager.addMember(req.params.id, agentId, permissions, req.caller.keyId || req.role);
+  if (!member) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (member.error) {
+    return res.status(400).json({ error: member.error });
+  }
+  socketHandler.evictFromProject(req.params.id);
+  audit(req, 'project:member-add', { projectId: req.params.id, agentId });
+  res.status(201).json({ member });
+});
+
+app.delete('/api/projects/:id/members/:agentId', requireRole('operator'), (req, res) => {
+  const member = projectManager.removeMember(req.params.id, req.params.agentId, req.caller.keyId || req.role);
+  if (!member) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+  socketHandler.evictFromProject(req.params.id);
+  audit(req, 'project:member-remove', { projectId: req.params.id, agentId: req.params.agentId });
+  res.json({ member });
 });
 
 app.get('/api/agents', (req, res) => {
   res.json(agentManager.getAllAgents());
 });
 
+app.get('/api/agents/:id/profile', identifyCaller, (req, res) => {
+  const profile = agentManager.getProfile(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+  res.json(profile);
+});
+
 app.get('/api/leaderboard', (req, res) => {
   res.json({
     leaders: agentManager.getLeaderboard(10)
   });
 });
 
-app.post('/api/agents/:id/resources', (req, res) => {
-  const updated = agentManager.updateResources(req.params.id, req.body || {});
+app.post('/api/agents/:id/resources', requireRole('operator'), validateBody('POST /api/agents/:id/resources'), (req, res) => {
+  const updated = agentManager.updateResources(req.params.id, req.body);
   if (!updated) {
     return res.status(404).json({ error: 'Agent not found' });
   }
+  audit(req, 'agent:resources', { agentId: req.params.id });
   res.json(updated);
 });
 
@@ -82,21 +302,257 @@ app.get('/api/stats', (req, res) => {
   });
 });
 
-app.get('/api/memory', (req, res) => {
-  res.json({ events: memoryBus.getRecent(100, req.query.projectId || null) });
+// Unreadable events are filtered out before the limit, so callers still get up to 100
+app.get('/api/memory', identifyCaller, (req, res) => {
+  const { events } = memoryBus.query({
+    projectId: req.query.projectId || null,
+    predicate: readableEvents(req.caller),
+    limit: 100
+  });
+  res.json({ events });
+});
+
+app.get('/api/projections', (req, res) => {
+  res.json({ projections: projections.list() });
 });
 
-app.post('/api/tasks', (req, res) => {
-  const task = taskEngine.createTask(req.body || {});
+app.get('/api/projections/:name', identifyCaller, (req, res) => {
+  const canRead = (projectId) => canAccessProject(req.caller, projectId, 'read');
+  const view = projections.get(req.params.name, req.query.key ?? null, canRead);
+  if (!view) {
+    return res.status(404).json({ error: 'Projection not found' });
+  }
+  res.json(view);
+});
+
+// Accepts ms timestamps or ISO dates
+const parseTime = (value) => {
+  if (value === undefined) return null;
+  const ms = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  return Number.isNaN(ms) ? undefined : ms;
+};
+
+app.get('/api/memory/events', identifyCaller, (req, res) => {
+  const since = parseTime(req.query.since);
+  const until = parseTime(req.query.until);
+  if (since === undefined || until === undefined) {
+    return res.status(400).json({ error: 'since and until must be ms timestamps or ISO dates' });
+  }
+
+  const filters = {
+    projectId: req.query.projectId || null,
+    types: req.query.type ? String(req.query.type).split(',') : null,
+    agentId: req.query.agentId || null,
+    author: req.query.author || null,
+    since,
+    until,
+    text: req.query.q || null,
+    predicate: readableEvents(req.caller)
+  };
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+  // Archived events have no live cursor, so they are merged by time instead
+  if (req.query.includeArchived === 'true') {
+    if (req.query.after || req.query.before) {
+      return res.status(400).json({ error: 'includeArchived cannot be combined with after/before' });
+    }
+    const matches = memoryBus.createMatcher(filters);
+    const archived = retention.readMemoryArchive({ projectId: filters.projectId, since, until }).filter(matches);
+    const live = memoryBus.query({ ...filters, limit }).events;
+    const events = archived.concat(live).sort((a, b) => a.ts - b.ts).slice(-limit);
+    return res.json({ events, hasMore: archived.length + live.length > limit });
+  }
+
+  const result = memoryBus.query({
+    ...filters,
+    limit,
+    after: req.query.after || null,
+    before: req.query.before || null
+  });
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json(result);
+});
+
+app.get('/api/projects/:id/activity', requireProject('read'), (req, res) => {
+  const since = parseTime(req.query.since);
+  const until = parseTime(req.query.until);
+  if (since === undefined || until === undefined) {
+    return res.status(400).json({ error: 'since and until must be ms timestamps or ISO dates' });
+  }
+
+  const activity = projectManager.getActivityHistory(req.params.id, {
+    limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000),
+    since,
+    until
+  });
+  if (!activity) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  res.json({ activity });
+});
+
+// Archive scopes are project ids, apart from the global memory scope
+const canReadScope = (caller, scope) => scope === GLOBAL_SCOPE || canAccessProject(caller, scope, 'read');
+
+app.get('/api/archive', identifyCaller, (req, res) => {
+  const ranges = retention.archive.ranges(req.query.stream || null, req.query.scope || null);
+  res.json({ ranges: ranges.filter(range => canReadScope(req.caller, range.scope)) });
+});
+
+app.get('/api/archive/:stream/:scope', identifyCaller, (req, res) => {
+  if (!['activity', 'operations', 'memory'].includes(req.params.stream)) {
+    return res.status(404).json({ error: 'Unknown archive stream' });
+  }
+  if (!canReadScope(req.caller, req.params.scope)) {
+    return res.status(403).json({ error: 'Requires the read permission on this project', code: 'forbidden' });
+  }
+  const since = parseTime(req.query.since);
+  const until = parseTime(req.query.until);
+  if (since === undefined || until === undefined) {
+    return res.status(400).json({ error: 'since and until must be ms timestamps or ISO dates' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 1000, 10000);
+  const records = retention.archive.read(req.params.stream, req.params.scope, { since, until });
+  res.json({ records: records.slice(0, limit), hasMore: records.length > limit });
+});
+
+// Per-project rules name their projects, so only readable ones are listed
+app.get('/api/retention', identifyCaller, (req, res) => {
+  const projects = Object.entries(retention.config.projects || {})
+    .filter(([projectId]) => canAccessProject(req.caller, projectId, 'read'));
+  res.json({ ...retention.config, projects: Object.fromEntries(projects) });
+});
+
+app.get('/api/rate-limits', requireRole('operator'), (req, res) => {
+  res.json({ config: rateLimiter.config, subjects: rateLimiter.stats() });
+});
+
+app.post('/api/rate-limits/:subjectId/reset', requireRole('operator'), (req, res) => {
+  const stats = rateLimiter.reset(req.params.subjectId);
+  if (!stats) {
+    return res.status(404).json({ error: 'No throttling state for this subject' });
+  }
+  audit(req, 'rate-limit:reset', { subjectId: req.params.subjectId });
+  res.json(stats);
+});
+
+app.get('/api/proposals', requireRole('operator'), (req, res) => {
+  const { status, projectId, agentId } = req.query;
+  if (status && !PROPOSAL_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${PROPOSAL_STATUSES.join(', ')}` });
+  }
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const proposals = approvalGates.list({ status, projectId, agentId, before: req.query.before || null, limit: limit + 1 });
+  res.json({ proposals: proposals.slice(0, limit), hasMore: proposals.length > limit });
+});
+
+app.get('/api/proposals/:id', requireRole('operator'), (req, res) => {
+  const proposal = approvalGates.get(req.params.id);
+  if (!proposal) {
+    return res.status(404).json({ error: 'Proposal not found' });
+  }
+  res.json(proposal);
+});
+
+const decideProposal = (approve) => (req, res) => {
+  const proposal = socketHandler.decideProposal(req.params.id, approve, { id: callerId(req) }, req.body.reason || null);
+  if (!proposal) {
+    return res.status(404).json({ error: 'Proposal not found' });
+  }
+  if (proposal.error) {
+    return res.status(409).json({ error: proposal.error.message, code: proposal.error.code });
+  }
+  audit(req, approve ? 'proposal:approve' : 'proposal:reject', {
+    projectId: proposal.projectId,
+    proposalId: proposal.id,
+    agentId: proposal.agentId
+  });
+  res.json(proposal);
+};
+
+app.post('/api/proposals/:id/approve', requireRole('operator'), validateBody('POST /api/proposals/:id/approve'), decideProposal(true));
+app.post('/api/proposals/:id/reject', requireRole('operator'), validateBody('POST /api/proposals/:id/reject'), decideProposal(false));
+
+app.post('/api/tasks', requireRole('operator'), validateBody('POST /api/tasks'), (req, res) => {
+  const task = taskEngine.createTask(req.body);
+  audit(req, 'task:create', { projectId: task.projectId || null, engineTaskId: task.id });
   res.json({ task });
 });
 
+app.post('/api/admin/keys', requireAdmin, validateBody('POST /api/admin/keys'), (req, res) => {
+  const { agentId, label, role = 'agent' } = req.body;
+  if (role === 'agent' && !agentId) {
+    return res.status(400).json({ error: 'agentId is required for agent keys', code: 'invalid_payload', path: 'agentId', reason: 'required' });
+  }
+  const issued = authManager.issue({ agentId: agentId || null, role, label: label || '' });
+  audit(req, 'admin:key-issue', { keyId: issued.key.id, agentId: issued.key.agentId, role });
+  res.status(201).json(issued);
+});
+
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+  res.json({ keys: authManager.list(req.query.agentId || null) });
+});
+
+app.post('/api/admin/keys/:id/rotate', requireAdmin, (req, res) => {
+  const result = authManager.rotate(req.params.id);
+  if (!result) {
+    return res.status(404).json({ error: 'Key not found' });
+  }
+  if (result.error) {
+    return res.status(409).json({ error: result.error });
+  }
+  socketHandler.disconnectKey(req.params.id);
+  audit(req, 'admin:key-rotate', { keyId: req.params.id, newKeyId: result.key.id });
+  res.json(result);
+});
+
+app.delete('/api/admin/keys/:id', requireAdmin, (req, res) => {
+  const key = authManager.revoke(req.params.id);
+  if (!key) {
+    return res.status(404).json({ error: 'Key not found' });
+  }
+  socketHandler.disconnectKey(req.params.id);
+  audit(req, 'admin:key-revoke', { keyId: req.params.id });
+  res.json({ key });
+});
+
+app.get('/api/audit', requireAdmin, (req, res) => {
+  const since = parseTime(req.query.since);
+  const until = parseTime(req.query.until);
+  if (since === undefined || until === undefined) {
+    return res.status(400).json({ error: 'since and until must be ms timestamps or ISO dates' });
+  }
+  res.json(auditLog.query({
+    action: req.query.action || null,
+    actorId: req.query.actor || null,
+    since,
+    until,
+    after: req.query.after ? parseInt(req.query.after, 10) : null,
+    limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+  }));
+});
+
+app.get('/api/audit/verify', requireAdmin, (req, res) => {
+  res.json(auditLog.verify());
+});
+
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', uptime: process.uptime() });
 });
 
+// Malformed JSON bodies get the same structured error as schema failures
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Body is not valid JSON', code: 'invalid_json', path: '' });
+  }
+  next(err);
+});
+
 // Initialize socket handling
 socketHandler.initialize();
+socketHandler.startCursorSnapshots(parseInt(process.env.CURSOR_SNAPSHOT_INTERVAL) || 2000);
 
 // Start demo mode - spawn simulated agents (disabled by default)
 if (process.env.ENABLE_DEMO === 'true') {
@@ -112,4 +568,4 @@ httpServer.listen(PORT, () => {
   console.log(`🌐 WebSocket: ws://localhost:${PORT}`);
 });
 
-module.exports = { app, io, agentManager, projectManager, syncEngine };
\ No newline at end of file
+module.exports = { app, io, storage, agentManager, projectManager, syncEngine, memoryBus, taskEngine, projections, retention, authManager, rateLimiter, auditLog, secretScanner, approvalGates };
\ No newline at end of file
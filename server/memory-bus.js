@@ -1,28 +1,204 @@
 const { v4: uuidv4 } = require('uuid');
 
+// Compacted event ids still resolve as cursors, up to this many of the most recent
+const TOMBSTONE_LIMIT = 100000;
+
 /**
  * MemoryBus - shared event-sourced memory across agents/projects
  * Stores events + derived state snapshots for quick retrieval.
+ * When given an EventLog, every append is written through and replayed on boot.
+ * The bus uses segment files rather than a storage adapter: an unbounded
+ * append-only stream does not fit keyed records.
+ * Every event carries a sequence number `seq` that never changes, so cursors
+ * and projection snapshots survive compaction.
  */
 class MemoryBus {
-  constructor() {
-    this.events = []; // global event log
+  constructor(log = null) {
+    this.events = []; // global event log, in seq order
     this.byProject = new Map();
+    this.positions = new Map(); // event id -> seq
+    this.tombstones = new Map(); // compacted event id -> seq
+    this.seq = 0;
+    this.subscribers = new Set();
+    this.log = log;
+
+    if (this.log) this.replay();
+  }
+
+  /**
+   * Rebuild in-memory indexes from the on-disk log
+   */
+  replay() {
+    const events = this.log.replay();
+    this.seq = this.log.readMeta().lastSeq || 0;
+    for (const event of events) {
+      this.index(event);
+    }
+    this.log.open();
+    console.log(`🧠 MemoryBus replayed ${this.events.length} events`);
   }
 
   append(event) {
     const enriched = {
       id: uuidv4(),
       ts: Date.now(),
-      ...event
+      ...event,
+      seq: this.seq + 1
     };
-    this.events.push(enriched);
+    if (this.log) this.log.append(enriched);
+    this.index(enriched);
+
+    for (const { matches, listener } of this.subscribers) {
+      if (!matches(enriched)) continue;
+      try {
+        listener(enriched);
+      } catch (err) {
+        console.error(`⚠️ MemoryBus subscriber failed: ${err.message}`);
+      }
+    }
+    return enriched;
+  }
+
+  index(event) {
+    // Events logged before sequence numbers get theirs from log order
+    if (event.seq === undefined) event.seq = this.seq + 1;
+    this.seq = Math.max(this.seq, event.seq);
+    this.positions.set(event.id, event.seq);
+    this.events.push(event);
 
     if (event.projectId) {
       if (!this.byProject.has(event.projectId)) this.byProject.set(event.projectId, []);
-      this.byProject.get(event.projectId).push(enriched);
+      this.byProject.get(event.projectId).push(event);
     }
-    return enriched;
+  }
+
+  /**
+   * Drop events (already archived by retention)
+   * Removed ids are kept as tombstones, so cursors pointing at them resume
+   * after their sequence number.
+   */
+  compact(removedIds) {
+    const kept = [];
+    for (const event of this.events) {
+      if (!removedIds.has(event.id)) {
+        kept.push(event);
+        continue;
+      }
+      this.positions.delete(event.id);
+      this.tombstones.set(event.id, event.seq);
+    }
+    for (const id of this.tombstones.keys()) {
+      if (this.tombstones.size <= TOMBSTONE_LIMIT) break;
+      this.tombstones.delete(id);
+    }
+
+    this.events = kept;
+    this.byProject = new Map();
+    for (const event of kept) {
+      if (!event.projectId) continue;
+      if (!this.byProject.has(event.projectId)) this.byProject.set(event.projectId, []);
+      this.byProject.get(event.projectId).push(event);
+    }
+
+    if (this.log) this.log.compact(kept, { lastSeq: this.seq });
+  }
+
+  /**
+   * Sequence number of an event id, live or compacted
+   */
+  seqOf(id) {
+    return this.positions.get(id) ?? this.tombstones.get(id);
+  }
+
+  /**
+   * Index in this.events of the first event after a sequence number
+   */
+  indexAfter(seq) {
+    let lo = 0;
+    let hi = this.events.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.events[mid].seq <= seq) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  getProjectEvents(projectId) {
+    return (this.byProject.get(projectId) || []).slice();
+  }
+
+  /**
+   * Build a predicate for the query/subscription filters
+   * `projectIds` matches any of several projects; `projectId` a single one.
+   * `predicate` is an extra caller-supplied check, e.g. project access.
+   */
+  createMatcher({ projectId = null, projectIds = null, types = null, agentId = null, author = null, since = null, until = null, text = null, predicate = null } = {}) {
+    const needle = text ? text.toLowerCase() : null;
+    return (event) =>
+      (!projectId || event.projectId === projectId) &&
+      (!projectIds || projectIds.includes(event.projectId)) &&
+      (!types || types.includes(event.type)) &&
+      (!agentId || event.agentId === agentId) &&
+      (!author || event.author === author) &&
+      (since === null || event.ts >= since) &&
+      (until === null || event.ts <= until) &&
+      (!needle || JSON.stringify(event).toLowerCase().includes(needle)) &&
+      (!predicate || predicate(event));
+  }
+
+  /**
+   * Stream matching appends to a listener
+   * Returns an unsubscribe function.
+   */
+  subscribe(filters, listener) {
+    const subscriber = { matches: this.createMatcher(filters), listener };
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  /**
+   * Query events with filters and cursor pagination
+   *
+   * Filters: projectId or projectIds, types (array), agentId, author, since/until (ms), text
+   * (case-insensitive match anywhere in the event). Pass `after` to page
+   * forwards from an event id or `before` to page backwards; with neither,
+   * the most recent matches are returned. Results are always oldest first.
+   */
+  query({ projectId = null, projectIds = null, types = null, agentId = null, author = null, since = null, until = null, text = null, predicate = null, limit = 100, after = null, before = null } = {}) {
+    if (after && before) return { error: 'Use either after or before, not both' };
+
+    const cursor = after || before;
+    const cursorSeq = cursor ? this.seqOf(cursor) : undefined;
+    if (cursor && cursorSeq === undefined) return { error: `Unknown cursor: ${cursor}` };
+
+    const matches = this.createMatcher({ projectId, projectIds, types, agentId, author, since, until, text, predicate });
+
+    // Scan the global log from the cursor, collecting one extra match to detect more pages
+    const found = [];
+    if (after) {
+      for (let i = this.indexAfter(cursorSeq); i < this.events.length && found.length <= limit; i++) {
+        if (matches(this.events[i])) found.push(this.events[i]);
+      }
+    } else {
+      const start = before ? this.indexAfter(cursorSeq - 1) - 1 : this.events.length - 1;
+      for (let i = start; i >= 0 && found.length <= limit; i--) {
+        if (matches(this.events[i])) found.push(this.events[i]);
+      }
+    }
+
+    const hasMore = found.length > limit;
+    const events = found.slice(0, limit);
+    if (!after) events.reverse();
+
+    return {
+      events,
+      hasMore,
+      cursors: {
+        before: events.length ? events[0].id : before,
+        after: events.length ? events[events.length - 1].id : after
+      }
+    };
   }
 
   getRecent(limit = 50, projectId = null) {
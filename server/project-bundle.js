@@ -0,0 +1,127 @@
+const { v4: uuidv4 } = require('uuid');
+
+const BUNDLE_FORMAT = 'hivemind-project';
+const BUNDLE_VERSION = 1;
+
+/**
+ * Project bundles - portable snapshot of a project for moving it between
+ * instances: files with their revisions, tasks, activity, sync version and
+ * memory-bus events.
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Build a bundle for a project, or null if it does not exist
+ */
+function exportProject({ projectManager, syncEngine, memoryBus }, projectId) {
+  const project = projectManager.getProject(projectId);
+  if (!project) return null;
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: Date.now(),
+    project: JSON.parse(JSON.stringify(project)),
+    revisions: projectManager.exportRevisions(projectId),
+    sync: {
+      version: syncEngine.getVersion(projectId)
+    },
+    events: memoryBus.getProjectEvents(projectId)
+  };
+}
+
+/**
+ * Give the project, its files, tasks and events fresh ids
+ * Activity and events that reference a remapped task follow it.
+ */
+function remapBundle(bundle) {
+  const projectId = uuidv4();
+  const taskIds = new Map();
+  const mapTask = (id) => taskIds.get(id) || id;
+
+  const tasks = bundle.project.tasks.map(task => {
+    const id = uuidv4();
+    taskIds.set(task.id, id);
+    return { ...task, id };
+  });
+
+  const files = {};
+  for (const [filePath, file] of Object.entries(bundle.project.files)) {
+    files[filePath] = { ...file, id: uuidv4() };
+  }
+
+  const activity = bundle.project.activity.map(entry => (
+    entry.taskId ? { ...entry, taskId: mapTask(entry.taskId) } : { ...entry }
+  ));
+
+  const events = bundle.events.map(event => {
+    const { id, ...rest } = event;
+    const remapped = { ...rest, projectId };
+    if (rest.taskId) remapped.taskId = mapTask(rest.taskId);
+    if (rest.task && rest.task.id) remapped.task = { ...rest.task, id: mapTask(rest.task.id), projectId };
+    return remapped;
+  });
+
+  return {
+    ...bundle,
+    project: { ...bundle.project, id: projectId, files, tasks, activity },
+    events
+  };
+}
+
+/**
+ * Recreate a project from a bundle
+ * Members are not taken from the bundle; `owner` (the importing agent, if
+ * any) becomes the only member. Files are checked like file:create, so a
+ * bad path or a quota overrun rejects the bundle. Returns { project } on
+ * success or { error, code?, status } on failure.
+ */
+function importProject({ projectManager, syncEngine, memoryBus }, bundle, { remapIds = false, owner = null } = {}) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    return { error: 'Not a HiveMind project bundle', status: 400 };
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    return { error: `Unsupported bundle version: ${bundle.version}`, status: 400 };
+  }
+
+  const source = bundle.project;
+  const isRecordList = (value) => Array.isArray(value) && value.every(isPlainObject);
+  if (!isPlainObject(source) || !source.id || !isPlainObject(source.files) || !isRecordList(source.tasks)) {
+    return { error: 'Bundle is missing project data', status: 400 };
+  }
+  if (source.activity !== undefined && !isRecordList(source.activity)) {
+    return { error: 'project.activity must be an array of objects', status: 400 };
+  }
+  if (bundle.events !== undefined && !isRecordList(bundle.events)) {
+    return { error: 'events must be an array of objects', status: 400 };
+  }
+  const revisions = bundle.revisions || {};
+  if (!isPlainObject(revisions) || !Object.values(revisions).every(isRecordList)) {
+    return { error: 'revisions must map file paths to arrays of revisions', status: 400 };
+  }
+
+  const normalized = {
+    ...bundle,
+    project: { ...source, activity: source.activity || [] },
+    events: bundle.events || []
+  };
+  const { project, sync, events } = remapIds ? remapBundle(normalized) : normalized;
+
+  if (projectManager.getProject(project.id)) {
+    return { error: `Project ${project.id} already exists`, status: 409 };
+  }
+
+  const imported = projectManager.importProject(project, { owner, revisions });
+  if (imported.error) {
+    return { error: imported.error.message, code: imported.error.code, status: 400 };
+  }
+  syncEngine.setVersion(imported.id, (sync && sync.version) || 0);
+  for (const event of events) {
+    memoryBus.append({ ...event, projectId: imported.id });
+  }
+
+  return { project: imported };
+}
+
+module.exports = { exportProject, importProject, BUNDLE_FORMAT, BUNDLE_VERSION };
@@ -1,12 +1,62 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { MemoryAdapter } = require('./storage');
+const { RetentionManager } = require('./retention');
+const { FilePolicy, normalizeFilePath } = require('./file-policy');
+const { MODES: SECRET_MODES } = require('./secret-scanner');
+
+const PERMISSIONS = ['read', 'write', 'manage-tasks'];
+const DEFAULT_MAX_REVISIONS = 100;
 
 /**
  * ProjectManager - Manages projects, workspaces, and documents
  */
 class ProjectManager {
-  constructor() {
+  constructor(storage = new MemoryAdapter(), retention = new RetentionManager(storage), filePolicy = new FilePolicy(), { maxRevisions = DEFAULT_MAX_REVISIONS } = {}) {
     this.projects = new Map();
-    this.initializeDemoProject();
+    this.revisions = new Map(); // "projectId:filePath" -> revision chain without content
+    this.maxRevisions = maxRevisions;
+    this.storage = storage;
+    this.retention = retention;
+    this.filePolicy = filePolicy;
+    this.loadProjects();
+  }
+
+  /**
+   * Load persisted projects, seeding the demo project on first boot
+   */
+  loadProjects() {
+    for (const project of this.storage.list('projects')) {
+      // Projects saved before activity had its own record keep it inline
+      project.activity = this.storage.get('project-activity', project.id) || project.activity || [];
+      this.projects.set(project.id, project);
+    }
+
+    if (!this.projects.has('demo-project')) {
+      this.initializeDemoProject();
+    }
+  }
+
+  /**
+   * Write a project through to storage
+   * Activity is stored on its own (see persistActivity), so logging an
+   * activity never rewrites the project's files.
+   */
+  persist(project) {
+    const { activity, ...record } = project;
+    try {
+      this.storage.put('projects', project.id, record);
+    } catch (err) {
+      console.error(`⚠️ Failed to persist project ${project.id}: ${err.message}`);
+    }
+  }
+
+  persistActivity(project) {
+    try {
+      this.storage.put('project-activity', project.id, project.activity);
+    } catch (err) {
+      console.error(`⚠️ Failed to persist activity of project ${project.id}: ${err.message}`);
+    }
   }
 
   /**
@@ -17,6 +67,8 @@ class ProjectManager {
       id: 'demo-project',
       name: 'HiveMind Core',
       description: 'Building the collaborative AI platform',
+      visibility: 'public',
+      members: {},
       createdAt: Date.now(),
       updatedAt: Date.now(),
       files: {
@@ -134,17 +186,20 @@ class Observatory {
     };
 
     this.projects.set('demo-project', demoProject);
+    this.persist(demoProject);
   }
 
   /**
    * Create a new project
    */
-  createProject(name, description = '') {
+  createProject(name, description = '', visibility = 'public') {
     const id = uuidv4();
     const project = {
       id,
       name,
       description,
+      visibility,
+      members: {},
       createdAt: Date.now(),
       updatedAt: Date.now(),
       files: {},
@@ -153,9 +208,122 @@ class Observatory {
     };
     
     this.projects.set(id, project);
+    this.persist(project);
     return project;
   }
 
+  /**
+   * Add a fully-formed project, e.g. from an imported bundle
+   * The data's own members are ignored; `owner` becomes the only member,
+   * with every permission. Files pass the same path and quota checks as
+   * createFile. `revisions` (file path -> revisions with content) restores
+   * each file's history. Returns the project or { error }.
+   */
+  importProject(data, { owner = null, revisions = {} } = {}) {
+    const files = this.checkImportedFiles(data.id, data.files || {});
+    if (files.error) return files;
+    const chains = this.checkImportedRevisions(data.id, files, revisions);
+    if (chains.error) return chains;
+
+    const members = owner
+      ? { [owner]: { permissions: [...PERMISSIONS], invitedBy: owner, invitedAt: Date.now() } }
+      : {};
+    const project = {
+      id: data.id,
+      name: data.name,
+      description: data.description || '',
+      visibility: data.visibility || 'public',
+      members,
+      secretMode: data.secretMode || null,
+      createdAt: data.createdAt || Date.now(),
+      updatedAt: Date.now(),
+      files,
+      tasks: data.tasks || [],
+      activity: data.activity || []
+    };
+
+    this.projects.set(project.id, project);
+    this.persist(project);
+    this.persistActivity(project);
+    for (const [filePath, chain] of Object.entries(chains)) {
+      for (const revision of chain) {
+        const { version, content, author, timestamp } = revision;
+        this.recordRevision(project.id, { name: filePath, version, content, lastModified: timestamp, modifiedBy: author }, revision);
+      }
+    }
+    return project;
+  }
+
+  /**
+   * Canonicalise imported file paths and check the files against the quotas
+   * Returns the files keyed by canonical path, or { error }.
+   */
+  checkImportedFiles(projectId, source) {
+    const staged = { id: projectId, files: {} };
+    for (const [rawPath, file] of Object.entries(source)) {
+      if (!file || typeof file.content !== 'string') {
+        return { error: { code: 'invalid_file', message: `${rawPath} has no text content` } };
+      }
+      const checked = this.checkWrite(staged, rawPath, file.content);
+      if (checked.error) return checked;
+      if (staged.files[checked.path]) {
+        return { error: { code: 'duplicate_path', message: `${rawPath} and another file share the path ${checked.path}` } };
+      }
+      staged.files[checked.path] = { ...file, name: checked.path, type: this.getFileType(checked.path) };
+    }
+    return staged.files;
+  }
+
+  /**
+   * Check imported revision chains against the imported files
+   * Returns the newest maxRevisions of each chain (oldest first; hashes are
+   * recomputed when recorded) keyed by canonical path, or { error }.
+   */
+  checkImportedRevisions(projectId, files, source) {
+    const { maxFileBytes } = this.filePolicy.quotas(projectId);
+    const chains = {};
+    for (const [rawPath, revisions] of Object.entries(source)) {
+      const invalid = (message) => ({ error: { code: 'invalid_revision', message: `${rawPath}: ${message}` } });
+      const { path: filePath } = normalizeFilePath(rawPath);
+      if (!filePath || !files[filePath]) return invalid('revisions for a file that is not in the bundle');
+      if (chains[filePath]) return invalid(`another revision chain shares the path ${filePath}`);
+
+      const sorted = [...revisions].sort((a, b) => a.version - b.version);
+      for (let i = 0; i < sorted.length; i++) {
+        const revision = sorted[i];
+        if (!Number.isInteger(revision.version) || revision.version < 1) return invalid('revision version must be a positive integer');
+        if (i > 0 && revision.version === sorted[i - 1].version) return invalid(`version ${revision.version} appears twice`);
+        if (typeof revision.content !== 'string') return invalid(`version ${revision.version} has no text content`);
+        if (Buffer.byteLength(revision.content) > maxFileBytes) return invalid(`version ${revision.version} is larger than ${maxFileBytes} bytes`);
+      }
+      chains[filePath] = sorted.slice(-this.maxRevisions).map(revision => ({
+        version: revision.version,
+        author: revision.author ?? null,
+        timestamp: Number.isFinite(revision.timestamp) ? revision.timestamp : Date.now(),
+        content: revision.content,
+        ...(Number.isInteger(revision.revertedFrom) ? { revertedFrom: revision.revertedFrom } : {}),
+        ...(Number.isInteger(revision.syncVersion) ? { syncVersion: revision.syncVersion } : {})
+      }));
+    }
+    return chains;
+  }
+
+  /**
+   * Every kept revision of a project's files, with content, keyed by path
+   */
+  exportRevisions(projectId) {
+    const project = this.projects.get(projectId);
+    if (!project) return null;
+
+    const revisions = {};
+    for (const filePath of Object.keys(project.files)) {
+      revisions[filePath] = this.getRevisionChain(projectId, filePath)
+        .map(entry => this.storage.get('file-revisions', this.revisionKey(projectId, filePath, entry.version)))
+        .filter(Boolean);
+    }
+    return revisions;
+  }
+
   /**
    * Get a project by ID
    */
@@ -171,6 +339,7 @@ class Observatory {
       id: p.id,
       name: p.name,
       description: p.description,
+      visibility: p.visibility || 'public',
       createdAt: p.createdAt,
       updatedAt: p.updatedAt,
       fileCount: Object.keys(p.files).length,
@@ -178,6 +347,107 @@ class Observatory {
     }));
   }
 
+  /**
+   * Check an agent's permission on a project
+   * Public projects grant every permission to everyone; private projects
+   * only to members holding it.
+   */
+  can(projectId, agentId, permission) {
+    const project = this.projects.get(projectId);
+    if (!project) return false;
+    if ((project.visibility || 'public') === 'public') return true;
+    const member = project.members?.[agentId];
+    return Boolean(member && member.permissions.includes(permission));
+  }
+
+  /**
+   * Make a project public or private
+   */
+  setVisibility(projectId, visibility) {
+    const project = this.projects.get(projectId);
+    if (!project) return null;
+    if (!['public', 'private'].includes(visibility)) return { error: 'visibility must be public or private' };
+
+    project.visibility = visibility;
+    project.members = project.members || {};
+    project.updatedAt = Date.now();
+    this.persist(project);
+    return project;
+  }
+
+  /**
+   * Choose how secrets found in the project's content are handled
+   * null falls back to the server-wide default.
+   */
+  setSecretMode(projectId, mode) {
+    const project = this.projects.get(projectId);
+    if (!project) return null;
+    if (mode !== null && !SECRET_MODES.includes(mode)) return { error: `mode must be one of ${SECRET_MODES.join(', ')}` };
+
+    project.secretMode = mode;
+    project.updatedAt = Date.now();
+    this.persist(project);
+    return project;
+  }
+
+  /**
+   * List project members
+   */
+  getMembers(projectId) {
+    const project = this.projects.get(projectId);
+    if (!project) return null;
+    return Object.entries(project.members || {}).map(([agentId, member]) => ({ agentId, ...member }));
+  }
+
+  /**
+   * Invite an agent (or change an existing member's permissions)
+   */
+  addMember(projectId, agentId, permissions = ['read'], invitedBy = null) {
+    const project = this.projects.get(projectId);
+    if (!project) return null;
+
+    const invalid = permissions.filter(p => !PERMISSIONS.includes(p));
+    if (invalid.length > 0) return { error: `Unknown permissions: ${invalid.join(', ')}` };
+
+    project.members = project.members || {};
+    const member = {
+      permissions: Array.from(new Set(permissions)),
+      invitedBy,
+      invitedAt: project.members[agentId]?.invitedAt || Date.now()
+    };
+    project.members[agentId] = member;
+    this.persist(project);
+
+    this.addActivity(projectId, {
+      type: 'member:add',
+      agentId,
+      permissions: member.permissions,
+      invitedBy,
+      timestamp: Date.now()
+    });
+    return { agentId, ...member };
+  }
+
+  /**
+   * Remove an agent from a project
+   */
+  removeMember(projectId, agentId, removedBy = null) {
+    const project = this.projects.get(projectId);
+    if (!project || !project.members?.[agentId]) return null;
+
+    const member = project.members[agentId];
+    delete project.members[agentId];
+    this.persist(project);
+
+    this.addActivity(projectId, {
+      type: 'member:remove',
+      agentId,
+      removedBy,
+      timestamp: Date.now()
+    });
+    return { agentId, ...member };
+  }
+
   /**
    * Get project count
    */
@@ -185,30 +455,60 @@ class Observatory {
     return this.projects.size;
   }
 
+  /**
+   * Canonicalise a path and check the write against the project's quotas
+   * Returns { path } or { error: { code, message } }.
+   */
+  checkWrite(project, filePath, content) {
+    const normalized = normalizeFilePath(filePath);
+    if (normalized.error) return normalized;
+    return this.filePolicy.check(project, normalized.path, content) || normalized;
+  }
+
   /**
    * Update a file in a project
+   * Pass { revertedFrom } in meta when restoring an older revision, and
+   * { syncVersion } to tag the revision with the project version it lands at.
+   * Returns the file, null if the project is missing, or { error } for an
+   * invalid path or a quota violation.
    */
-  updateFile(projectId, filePath, content, agentId) {
+  updateFile(projectId, rawPath, content, agentId, meta = {}) {
     const project = this.projects.get(projectId);
     if (!project) return null;
 
+    const checked = this.checkWrite(project, rawPath, content);
+    if (checked.error) return checked;
+    const filePath = checked.path;
+
     const existingFile = project.files[filePath];
+    const chain = this.getRevisionChain(projectId, filePath);
+
+    // Files that predate revision tracking get their current content as a baseline
+    if (existingFile && chain.length === 0) {
+      this.recordRevision(projectId, existingFile, { author: existingFile.modifiedBy });
+    }
+    const lastRevision = chain[chain.length - 1];
+
     const file = {
       id: existingFile?.id || uuidv4(),
       name: filePath,
       type: this.getFileType(filePath),
       content,
+      version: (lastRevision ? lastRevision.version : 0) + 1,
       lastModified: Date.now(),
       modifiedBy: agentId
     };
 
     project.files[filePath] = file;
     project.updatedAt = Date.now();
-    
+    this.persist(project);
+    this.recordRevision(projectId, file, meta);
+
     this.addActivity(projectId, {
-      type: 'file:update',
+      type: meta.revertedFrom ? 'file:revert' : 'file:update',
       filePath,
       agentId,
+      ...(meta.revertedFrom ? { revertedFrom: meta.revertedFrom } : {}),
       timestamp: Date.now()
     });
 
@@ -217,23 +517,33 @@ class Observatory {
 
   /**
    * Create a new file
+   * Returns the file, null if the project is missing or the file exists, or
+   * { error } for an invalid path or a quota violation.
    */
-  createFile(projectId, filePath, content, agentId) {
+  createFile(projectId, rawPath, content, agentId, meta = {}) {
     const project = this.projects.get(projectId);
-    if (!project || project.files[filePath]) return null;
+    if (!project) return null;
+
+    const checked = this.checkWrite(project, rawPath, content);
+    if (checked.error) return checked;
+    const filePath = checked.path;
+    if (project.files[filePath]) return null;
 
     const file = {
       id: uuidv4(),
       name: filePath,
       type: this.getFileType(filePath),
       content,
+      version: 1,
       lastModified: Date.now(),
       modifiedBy: agentId
     };
 
     project.files[filePath] = file;
     project.updatedAt = Date.now();
-    
+    this.persist(project);
+    this.recordRevision(projectId, file, meta);
+
     this.addActivity(projectId, {
       type: 'file:create',
       filePath,
@@ -244,11 +554,147 @@ class Observatory {
     return file;
   }
 
+  /**
+   * Get the revision chain for a file, oldest first
+   * Entries leave out the content, which is stored in one record per revision.
+   */
+  getRevisionChain(projectId, filePath) {
+    const key = `${projectId}:${filePath}`;
+    if (!this.revisions.has(key)) {
+      this.revisions.set(key, this.storage.get('file-revision-index', key) || this.migrateRevisions(projectId, filePath));
+    }
+    return this.revisions.get(key);
+  }
+
+  revisionKey(projectId, filePath, version) {
+    return `${projectId}:${filePath}@${String(version).padStart(10, '0')}`;
+  }
+
+  /**
+   * Split a chain stored as a single record into one record per revision
+   */
+  migrateRevisions(projectId, filePath) {
+    const key = `${projectId}:${filePath}`;
+    const legacy = this.storage.get('file-revisions', key);
+    if (!Array.isArray(legacy)) return [];
+
+    const chain = legacy.map(({ content, ...revision }) => revision);
+    this.storage.transaction((tx) => {
+      for (const revision of legacy) tx.put('file-revisions', this.revisionKey(projectId, filePath, revision.version), revision);
+      tx.put('file-revision-index', key, chain);
+      tx.delete('file-revisions', key);
+    });
+    return chain;
+  }
+
+  /**
+   * Append the current state of a file to its revision chain
+   * Past maxRevisions the oldest revisions are deleted.
+   */
+  recordRevision(projectId, file, meta = {}) {
+    const chain = this.getRevisionChain(projectId, file.name);
+    const revision = {
+      version: file.version || chain.length + 1,
+      author: meta.author !== undefined ? meta.author : file.modifiedBy,
+      timestamp: file.lastModified,
+      hash: crypto.createHash('sha256').update(file.content || '').digest('hex'),
+      size: Buffer.byteLength(file.content || ''),
+      content: file.content,
+      ...(meta.revertedFrom ? { revertedFrom: meta.revertedFrom } : {}),
+      ...(meta.syncVersion ? { syncVersion: meta.syncVersion } : {})
+    };
+
+    const { content, ...entry } = revision;
+    chain.push(entry);
+    const dropped = chain.length > this.maxRevisions ? chain.splice(0, chain.length - this.maxRevisions) : [];
+
+    // Like persist(), a failed write is logged rather than failing the edit
+    try {
+      this.storage.transaction((tx) => {
+        tx.put('file-revisions', this.revisionKey(projectId, file.name, revision.version), revision);
+        tx.put('file-revision-index', `${projectId}:${file.name}`, chain);
+        for (const old of dropped) tx.delete('file-revisions', this.revisionKey(projectId, file.name, old.version));
+      });
+    } catch (err) {
+      console.error(`⚠️ Failed to record revision ${revision.version} of ${file.name} in project ${projectId}: ${err.message}`);
+    }
+    return revision;
+  }
+
+  /**
+   * List revisions of a file without their content
+   */
+  getRevisions(projectId, rawPath) {
+    const project = this.projects.get(projectId);
+    const { path: filePath } = normalizeFilePath(rawPath);
+    if (!project || !filePath) return null;
+
+    const chain = this.getRevisionChain(projectId, filePath);
+    if (chain.length === 0 && !project.files[filePath]) return null;
+
+    return chain.map(revision => ({ ...revision }));
+  }
+
+  /**
+   * Get a single revision of a file, including its content
+   */
+  getRevision(projectId, rawPath, version) {
+    const { path: filePath } = normalizeFilePath(rawPath);
+    if (!this.projects.has(projectId) || !filePath) return null;
+    if (!this.getRevisionChain(projectId, filePath).some(r => r.version === version)) return null;
+    return this.storage.get('file-revisions', this.revisionKey(projectId, filePath, version)) || null;
+  }
+
+  /**
+   * The revision of a file that was current at a project sync version
+   * Revisions recorded before sync tagging count as version 0. Returns null
+   * if the file had no revision yet, or { error } when that revision has
+   * been dropped from the chain.
+   */
+  getRevisionAt(projectId, filePath, syncVersion) {
+    const chain = this.getRevisionChain(projectId, filePath);
+    for (let i = chain.length - 1; i >= 0; i--) {
+      if ((chain[i].syncVersion || 0) <= syncVersion) {
+        return this.storage.get('file-revisions', this.revisionKey(projectId, filePath, chain[i].version)) || null;
+      }
+    }
+    if (chain.length > 0 && chain[0].version > 1) {
+      return { error: { code: 'stale_base', message: `Revisions of ${filePath} from version ${syncVersion} are no longer kept; resync it` } };
+    }
+    return null;
+  }
+
+  /**
+   * Restore an older revision as a new edit
+   * `content` replaces the revision's text, e.g. once secrets are redacted.
+   */
+  revertFile(projectId, filePath, version, agentId, { content, ...meta } = {}) {
+    const revision = this.getRevision(projectId, filePath, version);
+    if (!revision) return null;
+    const restored = content !== undefined ? content : revision.content;
+    return this.updateFile(projectId, filePath, restored, agentId, { ...meta, revertedFrom: version });
+  }
+
+  /**
+   * File count, bytes and quotas for a project
+   */
+  getUsage(projectId) {
+    const project = this.projects.get(projectId);
+    if (!project) return null;
+    return { ...this.filePolicy.usage(project), quotas: this.filePolicy.quotas(projectId) };
+  }
+
   /**
    * Get file type from extension
+   * Only the last path segment counts; names without an extension (or
+   * dotfiles like .gitignore) are text.
    */
   getFileType(filePath) {
-    const ext = filePath.split('.').pop().toLowerCase();
+    const name = filePath.split('/').pop().toLowerCase();
+    const dot = name.lastIndexOf('.');
+    const ext = dot > 0 ? name.slice(dot + 1) : '';
+    if (!ext) return 'text';
+
     const types = {
       js: 'javascript',
       ts: 'typescript',
@@ -282,6 +728,7 @@ class Observatory {
     };
 
     project.tasks.push(task);
+    this.persist(project);
     return task;
   }
 
@@ -296,7 +743,8 @@ class Observatory {
     if (!task) return null;
 
     Object.assign(task, updates);
-    
+    this.persist(project);
+
     this.addActivity(projectId, {
       type: 'task:update',
       taskId,
@@ -315,20 +763,35 @@ class Observatory {
     if (!project) return;
 
     project.activity.unshift(activity);
-    // Keep last 100 activities
-    if (project.activity.length > 100) {
-      project.activity = project.activity.slice(0, 100);
-    }
+    // Activity is newest-first; retention works oldest-first and archives what it trims
+    project.activity = this.retention.enforce('activity', projectId, project.activity.slice().reverse()).reverse();
+    this.persistActivity(project);
   }
 
   /**
    * Get recent activity
+   * Retention trims the feed in blocks, so it can hold fewer than its
+   * maxCount; getActivityHistory reaches past it into the archive.
    */
   getActivity(projectId, limit = 20) {
     const project = this.projects.get(projectId);
     if (!project) return [];
     return project.activity.slice(0, limit);
   }
+
+  /**
+   * Get activity including archived entries, newest first
+   */
+  getActivityHistory(projectId, { limit = 100, since = null, until = null } = {}) {
+    const project = this.projects.get(projectId);
+    if (!project) return null;
+
+    const inRange = (a) => (since === null || a.timestamp >= since) && (until === null || a.timestamp <= until);
+    const archived = this.retention.archive.read('activity', projectId, { since, until }).reverse();
+    return project.activity.filter(inRange).concat(archived).slice(0, limit);
+  }
 }
 
+ProjectManager.PERMISSIONS = PERMISSIONS;
+
 module.exports = ProjectManager;
\ No newline at end of file
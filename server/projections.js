@@ -0,0 +1,250 @@
+const { MemoryAdapter } = require('./storage');
+
+/**
+ * ProjectionEngine - Materialized views derived from MemoryBus events
+ *
+ * Each projection registers reducers per event type. Views are kept current
+ * from live appends and snapshotted to storage on a timer, so a restart only
+ * replays the events that arrived after the last snapshot.
+ */
+class ProjectionEngine {
+  constructor(memoryBus, storage = new MemoryAdapter(), { snapshotIntervalMs = 60000 } = {}) {
+    this.memoryBus = memoryBus;
+    this.storage = storage;
+    this.snapshotIntervalMs = snapshotIntervalMs;
+    this.projections = new Map(); // name -> projection
+    this.snapshotTimer = null;
+  }
+
+  /**
+   * Register a projection
+   * @param {string} name - View name
+   * @param {Object} definition
+   * @param {number} [definition.version] - Bump when reducers change to discard old snapshots
+   * @param {string} [definition.description]
+   * @param {Function} definition.initialState - () => fresh state
+   * @param {Object} definition.reducers - eventType -> (state, event) => state
+   * @param {Function} [definition.visible] - (state, canRead) => the part of the
+   *   state a reader may see; canRead(projectId) checks project access
+   */
+  register(name, { version = 1, description = '', initialState, reducers, visible = null }) {
+    const projection = {
+      name,
+      version,
+      description,
+      initialState,
+      reducers,
+      visible,
+      state: initialState(),
+      lastEventId: null,
+      lastSeq: 0,
+      eventCount: 0,
+      dirty: false,
+      unsubscribe: null
+    };
+
+    this.restore(projection);
+    projection.unsubscribe = this.memoryBus.subscribe(
+      { types: Object.keys(reducers) },
+      (event) => this.apply(projection, event)
+    );
+    this.projections.set(name, projection);
+    return projection;
+  }
+
+  /**
+   * Load the latest snapshot and replay whatever came after it
+   * Snapshots resume by sequence number, so events compacted out of the bus
+   * since the snapshot was taken are already in its state.
+   */
+  restore(projection) {
+    const snapshot = this.storage.get('projection-snapshots', projection.name);
+    let lastSeq = 0;
+
+    if (snapshot && snapshot.version === projection.version) {
+      // Snapshots taken before sequence numbers carry only the event id
+      const seq = snapshot.lastSeq ?? (snapshot.lastEventId ? this.memoryBus.seqOf(snapshot.lastEventId) : 0);
+      if (seq !== undefined) {
+        projection.state = snapshot.state;
+        projection.lastEventId = snapshot.lastEventId;
+        projection.lastSeq = seq;
+        projection.eventCount = snapshot.eventCount;
+        lastSeq = seq;
+      } else {
+        console.log(`🔁 Rebuilding projection ${projection.name}: snapshot cursor not found`);
+      }
+    }
+
+    const events = this.memoryBus.events;
+    for (let i = this.memoryBus.indexAfter(lastSeq); i < events.length; i++) {
+      if (projection.reducers[events[i].type]) this.apply(projection, events[i]);
+    }
+  }
+
+  apply(projection, event) {
+    try {
+      projection.state = projection.reducers[event.type](projection.state, event);
+      projection.lastEventId = event.id;
+      projection.lastSeq = event.seq;
+      projection.eventCount += 1;
+      projection.dirty = true;
+    } catch (err) {
+      console.error(`⚠️ Projection ${projection.name} failed on ${event.type}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Write snapshots for every view that changed since the last one
+   */
+  snapshot() {
+    const dirty = Array.from(this.projections.values()).filter(p => p.dirty);
+    if (dirty.length === 0) return;
+
+    this.storage.transaction((tx) => {
+      for (const projection of dirty) {
+        tx.put('projection-snapshots', projection.name, {
+          name: projection.name,
+          version: projection.version,
+          state: projection.state,
+          lastEventId: projection.lastEventId,
+          lastSeq: projection.lastSeq,
+          eventCount: projection.eventCount,
+          takenAt: Date.now()
+        });
+      }
+    });
+    dirty.forEach(p => { p.dirty = false; });
+  }
+
+  start() {
+    if (this.snapshotTimer) return;
+    this.snapshotTimer = setInterval(() => this.snapshot(), this.snapshotIntervalMs);
+    this.snapshotTimer.unref();
+  }
+
+  stop() {
+    if (this.snapshotTimer) {
+      clearInterval(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+    this.snapshot();
+  }
+
+  /**
+   * List registered views
+   */
+  list() {
+    return Array.from(this.projections.values()).map(p => ({
+      name: p.name,
+      description: p.description,
+      version: p.version,
+      lastEventId: p.lastEventId,
+      eventCount: p.eventCount
+    }));
+  }
+
+  /**
+   * Get a view, optionally narrowed to a single top-level key
+   * With `canRead`, project-keyed views leave out projects it rejects.
+   */
+  get(name, key = null, canRead = null) {
+    const projection = this.projections.get(name);
+    if (!projection) return null;
+
+    const visible = canRead && projection.visible ? projection.visible(projection.state, canRead) : projection.state;
+    const state = key === null ? visible : (visible[key] ?? null);
+    return { name, key, state, lastEventId: projection.lastEventId };
+  }
+}
+
+const projectIdOf = (event) => event.projectId || event.task?.projectId || null;
+
+/**
+ * Views the server ships with
+ */
+function registerDefaultProjections(engine) {
+  engine.register('open-tasks', {
+    description: 'Open tasks per project',
+    initialState: () => ({}),
+    visible: (state, canRead) => Object.fromEntries(Object.entries(state).filter(([projectId]) => canRead(projectId))),
+    reducers: {
+      'task:create': (state, event) => {
+        const projectId = projectIdOf(event);
+        if (!projectId || !event.task) return state;
+        state[projectId] = state[projectId] || {};
+        state[projectId][event.task.id] = {
+          title: event.task.title,
+          priority: event.task.priority,
+          status: event.task.status,
+          assignedTo: event.task.assignedTo || null,
+          createdAt: event.ts
+        };
+        return state;
+      },
+      'task:claim': (state, event) => {
+        const projectId = projectIdOf(event);
+        if (!projectId) return state;
+        state[projectId] = state[projectId] || {};
+        state[projectId][event.taskId] = {
+          ...(state[projectId][event.taskId] || {}),
+          title: event.task?.title,
+          priority: event.task?.priority,
+          status: 'in-progress',
+          assignedTo: event.agentId
+        };
+        return state;
+      },
+      'task:complete': (state, event) => {
+        const projectId = projectIdOf(event);
+        if (projectId && state[projectId]) delete state[projectId][event.taskId];
+        return state;
+      }
+    }
+  });
+
+  const touchFile = (state, event) => {
+    if (!event.agentId || !event.filePath) return state;
+    const files = state[event.agentId] = state[event.agentId] || {};
+    const key = `${event.projectId}:${event.filePath}`;
+    files[key] = {
+      projectId: event.projectId,
+      filePath: event.filePath,
+      count: (files[key]?.count || 0) + 1,
+      lastTouched: event.ts
+    };
+    return state;
+  };
+
+  engine.register('files-by-agent', {
+    description: 'Files touched per agent',
+    initialState: () => ({}),
+    visible: (state, canRead) => {
+      const result = {};
+      for (const [agentId, files] of Object.entries(state)) {
+        const readable = Object.entries(files).filter(([, file]) => canRead(file.projectId));
+        if (readable.length > 0) result[agentId] = Object.fromEntries(readable);
+      }
+      return result;
+    },
+    reducers: {
+      'file:create': touchFile,
+      'file:edit': touchFile,
+      'file:revert': touchFile
+    }
+  });
+
+  engine.register('broadcasts', {
+    description: 'Recent broadcast history',
+    initialState: () => [],
+    reducers: {
+      broadcast: (state, event) => {
+        state.push({ id: event.id, author: event.author, message: event.message, ts: event.ts });
+        return state.slice(-200);
+      }
+    }
+  });
+
+  return engine;
+}
+
+module.exports = { ProjectionEngine, registerDefaultProjections };
@@ -0,0 +1,204 @@
+const fs = require('fs');
+
+/**
+ * RateLimiter - Token-bucket quotas per subject (agent or key) and event type
+ *
+ * Each limited event has a bucket of `capacity` tokens refilled at
+ * `refillPerSec`. An event that finds its bucket empty is a violation:
+ * - the first violations in a window earn warnings
+ * - `muteAfter` violations mute the subject for `muteMs` (every limited event is dropped)
+ * - the `disconnectAfter`-th mute within the window disconnects instead
+ * Per-agent overrides replace the event defaults for that agent.
+ * Subjects idle for `idleMs` (and not muted) are forgotten.
+ */
+
+const DEFAULT_CONFIG = {
+  events: {
+    'agent:join': { capacity: 5, refillPerSec: 0.5 },
+    'agent:action': { capacity: 20, refillPerSec: 5 },
+    'agent:cursor': { capacity: 30, refillPerSec: 15 },
+    'agent:typing': { capacity: 10, refillPerSec: 5 },
+    'agent:status': { capacity: 10, refillPerSec: 2 },
+    'agent:resources': { capacity: 5, refillPerSec: 0.5 },
+    'agent:heartbeat': { capacity: 3, refillPerSec: 0.2 },
+    'memory:subscribe': { capacity: 10, refillPerSec: 0.5 },
+    'observatory:broadcast': { capacity: 3, refillPerSec: 0.2 },
+    'observatory:create-task': { capacity: 5, refillPerSec: 0.5 }
+  },
+  agents: {},
+  penalties: {
+    windowMs: 60000,
+    muteAfter: 5,
+    muteMs: 30000,
+    disconnectAfter: 3,
+    idleMs: 600000
+  }
+};
+
+class RateLimiter {
+  constructor(config = {}) {
+    this.config = {
+      events: { ...DEFAULT_CONFIG.events, ...(config.events || {}) },
+      agents: config.agents || {},
+      penalties: { ...DEFAULT_CONFIG.penalties, ...(config.penalties || {}) }
+    };
+    this.subjects = new Map(); // subjectId -> { buckets, violations, mutes, mutedUntil, lastSeenAt, stats }
+    this.prunedAt = 0;
+  }
+
+  /**
+   * Resolve the quota for an event, or null if the event is not limited
+   */
+  limit(subjectId, event) {
+    return this.config.agents[subjectId]?.[event] || this.config.events[event] || null;
+  }
+
+  subject(subjectId, now = Date.now()) {
+    if (!this.subjects.has(subjectId)) {
+      this.subjects.set(subjectId, {
+        buckets: new Map(),
+        violations: [],
+        mutes: [],
+        mutedUntil: 0,
+        lastSeenAt: now,
+        stats: { allowed: 0, throttled: 0, warnings: 0, mutes: 0, disconnects: 0, lastViolationAt: null, byEvent: {} }
+      });
+    }
+    return this.subjects.get(subjectId);
+  }
+
+  /**
+   * Take a token for an event
+   * Returns { allowed: true } or { allowed: false, action, retryAfterMs, mutedUntil }
+   * where action is 'warn', 'mute', 'muted' (already muted) or 'disconnect'.
+   */
+  consume(subjectId, event, now = Date.now()) {
+    const quota = this.limit(subjectId, event);
+    if (!quota) return { allowed: true };
+
+    if (now - this.prunedAt >= this.config.penalties.idleMs) this.prune(now);
+    const subject = this.subject(subjectId, now);
+    subject.lastSeenAt = now;
+    const eventStats = subject.stats.byEvent[event] = subject.stats.byEvent[event] || { allowed: 0, throttled: 0 };
+
+    if (now < subject.mutedUntil) {
+      subject.stats.throttled += 1;
+      eventStats.throttled += 1;
+      return { allowed: false, action: 'muted', retryAfterMs: subject.mutedUntil - now, mutedUntil: subject.mutedUntil };
+    }
+
+    let bucket = subject.buckets.get(event);
+    if (!bucket) {
+      bucket = { tokens: quota.capacity, updatedAt: now };
+      subject.buckets.set(event, bucket);
+    }
+    bucket.tokens = Math.min(quota.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * quota.refillPerSec);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      subject.stats.allowed += 1;
+      eventStats.allowed += 1;
+      return { allowed: true };
+    }
+
+    subject.stats.throttled += 1;
+    subject.stats.lastViolationAt = now;
+    eventStats.throttled += 1;
+    const retryAfterMs = quota.refillPerSec > 0 ? Math.ceil(((1 - bucket.tokens) / quota.refillPerSec) * 1000) : null;
+    return { ...this.escalate(subject, now), retryAfterMs };
+  }
+
+  /**
+   * Record a violation and pick the penalty
+   */
+  escalate(subject, now) {
+    const { windowMs, muteAfter, muteMs, disconnectAfter } = this.config.penalties;
+    subject.violations = subject.violations.filter(ts => now - ts < windowMs);
+    subject.mutes = subject.mutes.filter(ts => now - ts < windowMs);
+    subject.violations.push(now);
+
+    if (subject.violations.length < muteAfter) {
+      subject.stats.warnings += 1;
+      return { allowed: false, action: 'warn', mutedUntil: null };
+    }
+
+    subject.violations = [];
+    if (subject.mutes.length + 1 >= disconnectAfter) {
+      subject.mutes = [];
+      subject.stats.disconnects += 1;
+      return { allowed: false, action: 'disconnect', mutedUntil: null };
+    }
+
+    subject.mutes.push(now);
+    subject.mutedUntil = now + muteMs;
+    subject.stats.mutes += 1;
+    return { allowed: false, action: 'mute', mutedUntil: subject.mutedUntil };
+  }
+
+  /**
+   * Throttling stats for one subject, or null if it has never been limited
+   */
+  getStats(subjectId, now = Date.now()) {
+    const subject = this.subjects.get(subjectId);
+    if (!subject) return null;
+    return {
+      subjectId,
+      ...subject.stats,
+      muted: now < subject.mutedUntil,
+      mutedUntil: now < subject.mutedUntil ? subject.mutedUntil : null
+    };
+  }
+
+  /**
+   * Throttling stats for every subject, most throttled first
+   */
+  stats(now = Date.now()) {
+    return Array.from(this.subjects.keys())
+      .map(subjectId => this.getStats(subjectId, now))
+      .sort((a, b) => b.throttled - a.throttled);
+  }
+
+  /**
+   * Forget subjects idle for longer than `idleMs`, unless still muted
+   */
+  prune(now = Date.now()) {
+    const { idleMs } = this.config.penalties;
+    for (const [subjectId, subject] of this.subjects) {
+      if (now - subject.lastSeenAt > idleMs && now >= subject.mutedUntil) this.subjects.delete(subjectId);
+    }
+    this.prunedAt = now;
+  }
+
+  /**
+   * Drop a subject's buckets and stats, e.g. when the socket it was keyed by disconnects
+   */
+  forget(subjectId) {
+    this.subjects.delete(subjectId);
+  }
+
+  /**
+   * Lift a mute and clear violations for a subject
+   */
+  reset(subjectId) {
+    const subject = this.subjects.get(subjectId);
+    if (!subject) return null;
+    subject.buckets.clear();
+    subject.violations = [];
+    subject.mutes = [];
+    subject.mutedUntil = 0;
+    return this.getStats(subjectId);
+  }
+}
+
+/**
+ * Load rate limits from RATE_LIMITS (inline JSON or a path to a JSON file)
+ */
+function loadRateLimitConfig(env = process.env) {
+  const raw = env.RATE_LIMITS;
+  if (!raw) return {};
+  const text = raw.trim().startsWith('{') ? raw : fs.readFileSync(raw, 'utf8');
+  return JSON.parse(text);
+}
+
+module.exports = { RateLimiter, loadRateLimitConfig };
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { MemoryAdapter } = require('./storage');
+
+/**
+ * Retention - bounded history with compressed archives
+ *
+ * Three streams are governed by retention rules:
+ * - activity:   per-project activity feed (ProjectManager)
+ * - operations: per-project sync op log (SyncEngine)
+ * - memory:     MemoryBus events, scoped by projectId ('_global' when unset)
+ *
+ * A rule may set maxCount, maxAgeMs and maxBytes. Rules resolve from
+ * defaults, then per-project overrides, then (memory only) per-event-type
+ * overrides. Records that fall out of a rule are appended to gzip'd archive
+ * chunks in storage instead of being dropped.
+ */
+
+const STREAMS = {
+  activity: { tsField: 'timestamp' },
+  operations: { tsField: 'timestamp' },
+  memory: { tsField: 'ts' }
+};
+
+const GLOBAL_SCOPE = '_global';
+const CHUNK_RECORDS = 1000;
+// Streams trimmed as records arrive go down to this share of a broken limit,
+// so the archive is written once per block rather than once per record
+const TRIM_TO = 0.9;
+
+const DEFAULT_CONFIG = {
+  defaults: {
+    activity: { maxCount: 100 },
+    operations: { maxCount: 1000 },
+    memory: {}
+  },
+  projects: {},
+  eventTypes: {}
+};
+
+const encode = (records) => zlib.gzipSync(records.map(r => JSON.stringify(r)).join('\n')).toString('base64');
+const decode = (data) => zlib.gunzipSync(Buffer.from(data, 'base64')).toString('utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+/**
+ * Archive - Compressed, append-only chunks of expired records
+ */
+class Archive {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  indexKey(stream, scope) {
+    return `${stream}:${scope}`;
+  }
+
+  /**
+   * Append records (oldest first), topping up the newest chunk until it is full
+   */
+  append(stream, scope, records) {
+    if (records.length === 0) return;
+
+    const tsField = STREAMS[stream].tsField;
+    const key = this.indexKey(stream, scope);
+    const index = this.storage.get('archive-index', key) || { stream, scope, chunks: [] };
+    const last = index.chunks[index.chunks.length - 1];
+
+    let chunk;
+    let contents;
+    if (last && last.count < CHUNK_RECORDS) {
+      chunk = last;
+      contents = decode(this.storage.get('archive-chunks', chunk.id).data).concat(records);
+    } else {
+      chunk = { id: `${key}:${String(index.chunks.length + 1).padStart(6, '0')}` };
+      index.chunks.push(chunk);
+      contents = records;
+    }
+
+    const data = encode(contents);
+    Object.assign(chunk, {
+      from: contents[0][tsField],
+      to: contents[contents.length - 1][tsField],
+      count: contents.length,
+      bytes: data.length
+    });
+
+    this.storage.transaction((tx) => {
+      tx.put('archive-chunks', chunk.id, { data });
+      tx.put('archive-index', key, index);
+    });
+  }
+
+  /**
+   * List archived ranges, optionally for one stream and/or scope
+   */
+  ranges(stream = null, scope = null) {
+    return this.storage.list('archive-index')
+      .filter(index => (!stream || index.stream === stream) && (!scope || index.scope === scope))
+      .map(({ stream, scope, chunks }) => ({
+        stream,
+        scope,
+        from: chunks[0]?.from ?? null,
+        to: chunks[chunks.length - 1]?.to ?? null,
+        count: chunks.reduce((sum, c) => sum + c.count, 0),
+        bytes: chunks.reduce((sum, c) => sum + c.bytes, 0),
+        chunks
+      }));
+  }
+
+  /**
+   * Read archived records (oldest first) within an optional time range
+   */
+  read(stream, scope, { since = null, until = null } = {}) {
+    const index = this.storage.get('archive-index', this.indexKey(stream, scope));
+    if (!index) return [];
+
+    const tsField = STREAMS[stream].tsField;
+    const records = [];
+    for (const chunk of index.chunks) {
+      if (since !== null && chunk.to < since) continue;
+      if (until !== null && chunk.from > until) continue;
+      for (const record of decode(this.storage.get('archive-chunks', chunk.id).data)) {
+        const ts = record[tsField];
+        if ((since === null || ts >= since) && (until === null || ts <= until)) records.push(record);
+      }
+    }
+    return records;
+  }
+}
+
+/**
+ * Split records (oldest first) into kept and expired under a rule
+ * `ageRuleOf` lets each record carry its own maxAgeMs (per-event-type rules).
+ * Once a limit is broken, records are expired until the stream is within
+ * `trimTo` of it.
+ */
+function applyRule(records, rule, tsField, now = Date.now(), ageRuleOf = () => rule, { trimTo = 1 } = {}) {
+  const expired = new Set();
+
+  const tooOld = (record, share) => {
+    const { maxAgeMs } = ageRuleOf(record);
+    return Boolean(maxAgeMs) && now - record[tsField] > maxAgeMs * share;
+  };
+  if (records.some(record => tooOld(record, 1))) {
+    for (const record of records) {
+      if (tooOld(record, trimTo)) expired.add(record);
+    }
+  }
+
+  let live = records.filter(r => !expired.has(r));
+  if (rule.maxCount && live.length > rule.maxCount) {
+    const keep = Math.max(1, Math.floor(rule.maxCount * trimTo));
+    live.slice(0, live.length - keep).forEach(r => expired.add(r));
+    live = live.slice(-keep);
+  }
+
+  if (rule.maxBytes) {
+    let bytes = live.reduce((sum, r) => sum + Buffer.byteLength(JSON.stringify(r)), 0);
+    const target = bytes > rule.maxBytes ? rule.maxBytes * trimTo : rule.maxBytes;
+    let i = 0;
+    while (bytes > target && i < live.length) {
+      bytes -= Buffer.byteLength(JSON.stringify(live[i]));
+      expired.add(live[i]);
+      i++;
+    }
+    live = live.slice(i);
+  }
+
+  return {
+    kept: live,
+    expired: records.filter(r => expired.has(r))
+  };
+}
+
+/**
+ * RetentionManager - Resolves rules and moves expired records into the archive
+ */
+class RetentionManager {
+  constructor(storage = new MemoryAdapter(), config = {}) {
+    this.archive = new Archive(storage);
+    this.config = {
+      defaults: { ...DEFAULT_CONFIG.defaults, ...(config.defaults || {}) },
+      projects: config.projects || {},
+      eventTypes: config.eventTypes || {}
+    };
+    this.timer = null;
+  }
+
+  /**
+   * Resolve the rule for a stream in a project (and event type, for memory)
+   */
+  rule(stream, { projectId = null, type = null } = {}) {
+    return {
+      ...(this.config.defaults[stream] || {}),
+      ...((projectId && this.config.projects[projectId]?.[stream]) || {}),
+      ...((stream === 'memory' && type && this.config.eventTypes[type]) || {})
+    };
+  }
+
+  /**
+   * Enforce the rule on a bounded stream, archiving what expires
+   * Called as records arrive, so a broken limit trims the stream to TRIM_TO
+   * of it. Returns the records to keep (oldest first).
+   */
+  enforce(stream, projectId, records) {
+    const rule = this.rule(stream, { projectId });
+    if (!rule.maxCount && !rule.maxAgeMs && !rule.maxBytes) return records;
+
+    const { kept, expired } = applyRule(records, rule, STREAMS[stream].tsField, Date.now(), () => rule, { trimTo: TRIM_TO });
+    if (expired.length > 0) {
+      try {
+        this.archive.append(stream, projectId, expired);
+      } catch (err) {
+        console.error(`⚠️ Failed to archive ${expired.length} ${stream} records for ${projectId}: ${err.message}`);
+      }
+    }
+    return kept;
+  }
+
+  /**
+   * Compact the MemoryBus: archive expired events and drop them from the log
+   *
+   * Events are grouped by scope, and further by type when that type has its
+   * own count or size rule. Age limits apply per event. `beforeCompact` runs
+   * once the events to drop are archived, before they leave the bus.
+   */
+  compactMemory(memoryBus, { now = Date.now(), beforeCompact = null } = {}) {
+    const groups = new Map(); // group key -> { scope, rule, events }
+
+    for (const event of memoryBus.events) {
+      const scope = event.projectId || GLOBAL_SCOPE;
+      const typeRule = this.config.eventTypes[event.type];
+      const ownGroup = typeRule && (typeRule.maxCount || typeRule.maxBytes);
+      const key = ownGroup ? `${scope}\0${event.type}` : scope;
+
+      if (!groups.has(key)) {
+        const projectId = event.projectId || null;
+        groups.set(key, { scope, rule: this.rule('memory', { projectId, type: ownGroup ? event.type : null }), events: [] });
+      }
+      groups.get(key).events.push(event);
+    }
+
+    const expiredByScope = new Map();
+    for (const { scope, rule, events } of groups.values()) {
+      const ageRuleOf = (event) => this.rule('memory', { projectId: event.projectId, type: event.type });
+      const { expired } = applyRule(events, rule, 'ts', now, ageRuleOf);
+      if (expired.length === 0) continue;
+      if (!expiredByScope.has(scope)) expiredByScope.set(scope, []);
+      expiredByScope.get(scope).push(...expired);
+    }
+
+    if (expiredByScope.size === 0) return { archived: 0 };
+
+    const expiredIds = new Set();
+    for (const [scope, events] of expiredByScope) {
+      events.sort((a, b) => a.ts - b.ts);
+      this.archive.append('memory', scope, events);
+      events.forEach(e => expiredIds.add(e.id));
+    }
+
+    if (beforeCompact) beforeCompact();
+    memoryBus.compact(expiredIds);
+    console.log(`🗜️ Archived ${expiredIds.size} memory events`);
+    return { archived: expiredIds.size };
+  }
+
+  /**
+   * Read memory events from the archive across every scope, oldest first
+   */
+  readMemoryArchive({ projectId = null, since = null, until = null } = {}) {
+    const scopes = projectId
+      ? [projectId]
+      : this.archive.ranges('memory').map(r => r.scope);
+    return scopes
+      .flatMap(scope => this.archive.read('memory', scope, { since, until }))
+      .sort((a, b) => a.ts - b.ts);
+  }
+
+  start(memoryBus, intervalMs, { beforeCompact = null } = {}) {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      try {
+        this.compactMemory(memoryBus, { beforeCompact });
+      } catch (err) {
+        console.error(`⚠️ Memory compaction failed: ${err.message}`);
+      }
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Load retention config from RETENTION_CONFIG (inline JSON or a path to a JSON file)
+ */
+function loadRetentionConfig(env = process.env) {
+  const raw = env.RETENTION_CONFIG;
+  if (!raw) return {};
+  const text = raw.trim().startsWith('{') ? raw : fs.readFileSync(raw, 'utf8');
+  return JSON.parse(text);
+}
+
+module.exports = { RetentionManager, Archive, applyRule, loadRetentionConfig, GLOBAL_SCOPE, TRIM_TO };
@@ -0,0 +1,218 @@
+const fs = require('fs');
+
+/**
+ * Secret scanner - finds credentials in text before it is shared
+ *
+ * Two detectors run over each text:
+ * - rules: named regular expressions for known key formats
+ * - entropy: long tokens mixing letters and digits whose Shannon entropy
+ *   is above a threshold (random keys without a recognisable prefix)
+ *
+ * Each project picks what happens on a hit: 'block' refuses the write,
+ * 'redact' replaces each secret with [REDACTED:<rule>], 'warn' lets it
+ * through. Findings never carry the secret itself, only a masked preview.
+ */
+
+const MODES = ['block', 'redact', 'warn'];
+
+const DEFAULT_RULES = {
+  'aws-access-key': { pattern: '\\b(?:AKIA|ASIA)[0-9A-Z]{16}\\b' },
+  'github-token': { pattern: '\\bgh[pousr]_[A-Za-z0-9]{36,}\\b' },
+  'slack-token': { pattern: '\\bxox[abposr]-[A-Za-z0-9-]{10,}' },
+  'stripe-key': { pattern: '\\b[rs]k_live_[A-Za-z0-9]{20,}\\b' },
+  'google-api-key': { pattern: '\\bAIza[0-9A-Za-z_-]{35}\\b' },
+  'openai-key': { pattern: '\\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}' },
+  'jwt': { pattern: '\\beyJ[A-Za-z0-9_-]{8,}\\.eyJ[A-Za-z0-9_-]{8,}\\.[A-Za-z0-9_-]{8,}' },
+  'private-key': { pattern: '-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----[\\s\\S]*?(?:-----END (?:[A-Z]+ )?PRIVATE KEY-----|$)' },
+  // Only the quoted value is the secret, so the rule marks group 1
+  'credential-assignment': {
+    pattern: '(?:api[_-]?key|secret|token|passw(?:or)?d)["\']?\\s*[:=]\\s*["\']([^"\'\\s]{8,})["\']',
+    flags: 'i',
+    group: 1
+  }
+};
+
+const DEFAULT_CONFIG = {
+  mode: 'warn',
+  broadcastMode: null, // broadcasts have no project; null falls back to `mode`
+  rules: {},
+  entropy: { enabled: true, minLength: 24, threshold: 4.0 }
+};
+
+const TOKEN_PATTERN = /[A-Za-z0-9+/_=-]+/g;
+
+// Hyphenated slugs and URL paths score high on entropy but are not keys
+const isWordJoined = (token) => Math.max(...token.split(/[-_/]/).map(part => part.length)) < 16;
+
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const n of counts.values()) {
+    const p = n / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function mask(secret) {
+  if (secret.length <= 8) return '*'.repeat(secret.length);
+  return `${secret.slice(0, 4)}${'*'.repeat(Math.min(secret.length - 4, 12))}`;
+}
+
+// Offsets at which each line starts
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+  return starts;
+}
+
+// 1-based line of an offset: the number of lines starting at or before it
+function lineAt(starts, index) {
+  let low = 0;
+  let high = starts.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (starts[mid] <= index) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+class SecretScanner {
+  constructor(config = {}) {
+    this.config = {
+      mode: config.mode || DEFAULT_CONFIG.mode,
+      broadcastMode: config.broadcastMode || DEFAULT_CONFIG.broadcastMode,
+      entropy: { ...DEFAULT_CONFIG.entropy, ...(config.entropy || {}) }
+    };
+    if (!MODES.includes(this.config.mode)) throw new Error(`Secret scan mode must be one of ${MODES.join(', ')}`);
+
+    // Configured rules extend the defaults; a rule set to null disables it
+    this.rules = Object.entries({ ...DEFAULT_RULES, ...(config.rules || {}) })
+      .filter(([, rule]) => rule)
+      .map(([name, rule]) => ({
+        name,
+        regex: new RegExp(rule.pattern, `${(rule.flags || '').replace('g', '')}g`),
+        group: rule.group || 0
+      }));
+  }
+
+  /**
+   * Mode for a project: its own setting, else the configured default
+   */
+  modeFor(project) {
+    return project?.secretMode || this.config.mode;
+  }
+
+  broadcastMode() {
+    return this.config.broadcastMode || this.config.mode;
+  }
+
+  /**
+   * Find secrets in a text
+   * Returns findings sorted by position: { rule, start, end, line, preview }
+   */
+  scan(text) {
+    if (typeof text !== 'string' || text === '') return [];
+    const findings = [];
+
+    for (const rule of this.rules) {
+      rule.regex.lastIndex = 0;
+      let match;
+      while ((match = rule.regex.exec(text)) !== null) {
+        if (match[0] === '') {
+          rule.regex.lastIndex++;
+          continue;
+        }
+        const secret = match[rule.group];
+        if (!secret) continue;
+        const start = match.index + match[0].indexOf(secret);
+        findings.push({ rule: rule.name, start, end: start + secret.length, secret });
+      }
+    }
+
+    const { enabled, minLength, threshold } = this.config.entropy;
+    if (enabled) {
+      TOKEN_PATTERN.lastIndex = 0;
+      let match;
+      while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+        const token = match[0];
+        if (token.length < minLength || !/[0-9]/.test(token) || !/[A-Za-z]/.test(token)) continue;
+        if (isWordJoined(token)) continue;
+        if (shannonEntropy(token) < threshold) continue;
+        const start = match.index;
+        findings.push({ rule: 'high-entropy', start, end: start + token.length, secret: token });
+      }
+    }
+
+    // A rule hit wins over an overlapping entropy hit (or a later rule),
+    // even when the entropy token starts first, e.g. `key=AKIA...`. Kept hits
+    // never overlap, so in start order each only meets its neighbours.
+    const byStart = (a, b) => a.start - b.start;
+    const ruleHits = [];
+    for (const finding of findings.filter(f => f.rule !== 'high-entropy').sort(byStart)) {
+      const last = ruleHits[ruleHits.length - 1];
+      if (!last || finding.start >= last.end) ruleHits.push(finding);
+    }
+    const kept = [...ruleHits];
+    let next = 0;
+    let entropyEnd = 0;
+    for (const finding of findings.filter(f => f.rule === 'high-entropy').sort(byStart)) {
+      while (next < ruleHits.length && ruleHits[next].end <= finding.start) next++;
+      if (next < ruleHits.length && ruleHits[next].start < finding.end) continue;
+      if (finding.start < entropyEnd) continue;
+      kept.push(finding);
+      entropyEnd = finding.end;
+    }
+    kept.sort(byStart);
+
+    const starts = kept.length > 0 ? lineStarts(text) : null;
+    return kept.map(({ secret, ...finding }) => ({
+      ...finding,
+      line: lineAt(starts, finding.start),
+      preview: mask(secret)
+    }));
+  }
+
+  /**
+   * Replace each finding with [REDACTED:<rule>]
+   */
+  redact(text, findings) {
+    let result = '';
+    let cursor = 0;
+    for (const finding of findings) {
+      result += text.slice(cursor, finding.start) + `[REDACTED:${finding.rule}]`;
+      cursor = finding.end;
+    }
+    return result + text.slice(cursor);
+  }
+
+  /**
+   * Scan a text and apply a mode
+   * Returns { findings, mode, blocked, text } where `text` is what may be
+   * shared (redacted under 'redact', unchanged otherwise).
+   */
+  inspect(text, mode) {
+    const findings = this.scan(text);
+    if (findings.length === 0) return { findings, mode, blocked: false, text };
+    return {
+      findings,
+      mode,
+      blocked: mode === 'block',
+      text: mode === 'redact' ? this.redact(text, findings) : text
+    };
+  }
+}
+
+/**
+ * Load scanner settings from SECRET_SCAN (inline JSON or a path to a JSON file)
+ */
+function loadSecretScanConfig(env = process.env) {
+  const raw = env.SECRET_SCAN;
+  if (!raw) return {};
+  const text = raw.trim().startsWith('{') ? raw : fs.readFileSync(raw, 'utf8');
+  return JSON.parse(text);
+}
+
+module.exports = { SecretScanner, loadSecretScanConfig, MODES, DEFAULT_RULES };
@@ -1,26 +1,68 @@
+const { v4: uuidv4 } = require('uuid');
 const DemoAgents = require('./demo-agents');
+const { createChallenge } = require('./agent-identity');
+const { normalizeFilePath } = require('./file-policy');
+const { applyOps, replaceOps } = require('../sdk/lib/text-ops');
+const { validateEvent } = require('../sdk/lib/schemas');
+
+const CHALLENGE_TIMEOUT_MS = 10000;
+const LEADERBOARD_INTERVAL_MS = 1000;
+// memory:subscribe replays at most this many backlog pages before the client has to resume
+const BACKLOG_PAGE_SIZE = 500;
+const MAX_BACKLOG_PAGES = 4;
+
+// Project permission each agent:action type needs
+const ACTION_PERMISSIONS = {
+  'file:edit': 'write',
+  'file:create': 'write',
+  'file:revert': 'write',
+  'comment:add': 'write',
+  'task:claim': 'manage-tasks',
+  'task:complete': 'manage-tasks'
+};
+
+// Field of each agent:action type that is scanned for secrets
+const SCANNED_FIELDS = {
+  'file:edit': 'content',
+  'file:create': 'content',
+  'file:revert': 'content',
+  'comment:add': 'text'
+};
 
 /**
  * SocketHandler - Main WebSocket event handler
  * Routes all socket events and manages real-time communication
  */
 class SocketHandler {
-  constructor(io, agentManager, projectManager, syncEngine, memoryBus, taskEngine) {
+  constructor(io, agentManager, projectManager, syncEngine, memoryBus, taskEngine, projections, authManager, rateLimiter, auditLog, secretScanner, approvalGates) {
     this.io = io;
     this.agentManager = agentManager;
     this.projectManager = projectManager;
     this.syncEngine = syncEngine;
     this.memoryBus = memoryBus;
     this.taskEngine = taskEngine;
+    this.projections = projections;
+    this.authManager = authManager;
+    this.rateLimiter = rateLimiter;
+    this.auditLog = auditLog;
+    this.secretScanner = secretScanner;
+    this.approvalGates = approvalGates;
     this.demoAgents = null;
+    this.leaderboardTimer = null;
+    this.leaderboardPending = false;
   }
 
   /**
    * Initialize socket event handlers
    */
   initialize() {
+    this.io.use((socket, next) => this.authenticate(socket, next));
+
     this.io.on('connection', (socket) => {
       console.log(`🔌 Socket connected: ${socket.id}`);
+      socket.use((packet, next) => this.validatePacket(socket, packet, next));
+      // Sockets without an agent or key are limited by socket id, which is never reused
+      socket.on('disconnect', () => this.rateLimiter.forget(socket.id));
       
       // Determine connection type from auth
       const auth = socket.handshake.auth || {};
@@ -28,58 +70,351 @@ class SocketHandler {
       if (auth.type === 'observatory') {
         this.handleObservatoryConnection(socket);
       } else {
-        this.handleAgentConnection(socket, auth);
+        // A key is bound to one agent, so its agentId wins over the client's
+        this.proveIdentity(socket, {
+          ...auth,
+          agentId: socket.data.agentId || auth.agentId,
+          keyAgentId: socket.data.agentId
+        });
       }
     });
   }
 
+  /**
+   * Handshake middleware: check tokens and resolve a role before any handler runs
+   * Rejections reach the client as a connect_error with `data: { code, message }`.
+   */
+  authenticate(socket, next) {
+    const auth = socket.handshake.auth || {};
+    const isObservatory = auth.type === 'observatory';
+
+    const reject = (code, message) => {
+      console.log(`🚫 ${isObservatory ? 'Observatory' : 'Agent'} handshake rejected (${code}) from ${socket.handshake.address}`);
+      const err = new Error(message);
+      err.data = { code, message };
+      next(err);
+    };
+
+    const result = isObservatory
+      ? this.authManager.verifyOperator(auth.token)
+      : this.authManager.verify(auth.token);
+    if (result.error) {
+      return reject(result.error.code, result.error.message);
+    }
+    if (result.agentId && auth.agentId && auth.agentId !== result.agentId) {
+      return reject('agent_mismatch', 'Token was issued to a different agent');
+    }
+
+    socket.data.agentId = result.agentId || null;
+    socket.data.keyId = result.keyId;
+    socket.data.role = result.role;
+    next();
+  }
+
+  /**
+   * Packet middleware: check every incoming payload against its schema
+   * Invalid packets never reach a handler; the sender gets
+   * `error` `{ code: 'invalid_payload', event, path, reason, message }`.
+   */
+  validatePacket(socket, [event, payload], next) {
+    const error = validateEvent(event, payload);
+    if (!error) return next();
+    socket.emit('error', { ...error, event });
+  }
+
+  /**
+   * Run the Ed25519 challenge-response before registering an agent
+   * Agents without a key skip it when the identity policy allows.
+   * Failures emit `error` `{ code, message }` and disconnect.
+   */
+  proveIdentity(socket, auth) {
+    const fail = ({ code, message }) => {
+      console.log(`🚫 Agent identity rejected (${code}) from ${socket.handshake.address}`);
+      socket.emit('error', { code, message });
+      socket.disconnect(true);
+    };
+
+    const identity = this.agentManager.checkIdentity(auth.agentId || null, auth.publicKey || null, {
+      keyAgentId: auth.keyAgentId
+    });
+    if (identity.error) return fail(identity.error);
+    if (!identity.publicKey) return this.handleAgentConnection(socket, { ...auth, publicKey: null });
+
+    const nonce = createChallenge();
+    const timer = setTimeout(() => {
+      fail({ code: 'challenge_timeout', message: 'No answer to the identity challenge' });
+    }, CHALLENGE_TIMEOUT_MS);
+
+    socket.once('agent:challenge:response', (data = {}) => {
+      clearTimeout(timer);
+      const result = this.agentManager.verifyIdentity(identity.publicKey, nonce, data.signature);
+      if (result.error) return fail(result.error);
+      this.handleAgentConnection(socket, { ...auth, ...identity });
+    });
+    socket.once('disconnect', () => clearTimeout(timer));
+
+    socket.emit('agent:challenge', { nonce, agentId: identity.agentId });
+  }
+
+  /**
+   * Charge an event against the sender's quota
+   * Warns, mutes or disconnects per the rate limiter; returns false when the
+   * event must be dropped. Mutes and disconnects are reported to operators.
+   */
+  throttle(socket, event) {
+    const subjectId = socket.data.agentId || socket.data.keyId || socket.id;
+    const result = this.rateLimiter.consume(subjectId, event);
+    if (result.allowed) return true;
+
+    const { action, retryAfterMs, mutedUntil } = result;
+    if (action === 'warn') {
+      socket.emit('error', { code: 'rate_limited', message: `Slow down: ${event} is rate limited`, event, retryAfterMs });
+    } else if (action === 'mute') {
+      socket.emit('error', { code: 'muted', message: `Muted for flooding ${event}`, event, mutedUntil });
+    } else if (action === 'disconnect') {
+      socket.emit('error', { code: 'rate_limit_disconnect', message: `Disconnected for flooding ${event}`, event });
+    }
+
+    if (action === 'mute' || action === 'disconnect') {
+      console.log(`🚦 ${subjectId} ${action === 'mute' ? 'muted' : 'disconnected'} for flooding ${event}`);
+      this.io.to('operators').emit('observatory:throttle', {
+        subjectId,
+        event,
+        action,
+        mutedUntil,
+        stats: this.rateLimiter.getStats(subjectId),
+        timestamp: Date.now()
+      });
+    }
+    if (action === 'disconnect') socket.disconnect(true);
+    return false;
+  }
+
+  /**
+   * Record a privileged socket operation in the audit log
+   */
+  audit(socket, action, actor, payload, target = null) {
+    try {
+      this.auditLog.record({
+        action,
+        actor: { id: actor.id, name: actor.name, keyId: socket.data.keyId || null },
+        role: socket.data.role,
+        ip: socket.handshake.address,
+        target,
+        payload
+      });
+    } catch (err) {
+      console.error(`⚠️ Failed to audit ${action}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Send the leaderboard to the observatory at most once per interval
+   * Bursts of actions collapse into one trailing update.
+   */
+  broadcastLeaderboard() {
+    if (this.leaderboardTimer) {
+      this.leaderboardPending = true;
+      return;
+    }
+    this.broadcastToObservatory('observatory:leaderboard', this.agentManager.getLeaderboard(10));
+    this.leaderboardTimer = setTimeout(() => {
+      this.leaderboardTimer = null;
+      if (this.leaderboardPending) {
+        this.leaderboardPending = false;
+        this.broadcastLeaderboard();
+      }
+    }, LEADERBOARD_INTERVAL_MS);
+    this.leaderboardTimer.unref();
+  }
+
+  /**
+   * Check the socket's role for a privileged event
+   * Emits a structured `forbidden` error and returns false when it falls short.
+   */
+  authorize(socket, requiredRole, event) {
+    if (this.authManager.hasRole(socket.data.role, requiredRole)) return true;
+    socket.emit('error', {
+      code: 'forbidden',
+      message: `${event} requires the ${requiredRole} role`,
+      event,
+      role: socket.data.role
+    });
+    return false;
+  }
+
+  /**
+   * Whether a socket may use a permission on a project
+   * Operators and admins bypass project membership.
+   */
+  canAccess(socket, projectId, permission) {
+    if (this.authManager.hasRole(socket.data.role, 'operator')) return true;
+    return this.projectManager.can(projectId, socket.data.agentId, permission);
+  }
+
+  /**
+   * Check a project permission, emitting a structured `forbidden` error when missing
+   */
+  authorizeProject(socket, projectId, permission, event) {
+    if (this.canAccess(socket, projectId, permission)) return true;
+    socket.emit('error', {
+      code: 'forbidden',
+      message: `${event} requires the ${permission} permission on project ${projectId}`,
+      event,
+      projectId,
+      permission
+    });
+    return false;
+  }
+
+  /**
+   * Move agents out of a project they can no longer read
+   * Called after a member is removed or the project goes private.
+   */
+  evictFromProject(projectId) {
+    for (const agent of this.agentManager.getAgentsInProject(projectId)) {
+      const socket = this.io.sockets.sockets.get(agent.socketId);
+      if (!socket || this.canAccess(socket, projectId, 'read')) continue;
+
+      socket.leave(`project:${projectId}`);
+      this.syncEngine.removeCursor(projectId, agent.id);
+      this.agentManager.updateProject(agent.socketId, null);
+      socket.to(`project:${projectId}`).emit('agent:left', {
+        agentId: agent.id,
+        timestamp: Date.now()
+      });
+      socket.emit('project:removed', { projectId, timestamp: Date.now() });
+      this.broadcastToObservatory('observatory:agent-project-change', {
+        agentId: agent.id,
+        projectId: null
+      });
+    }
+  }
+
+  /**
+   * Disconnect every live session authenticated with a key
+   */
+  disconnectKey(keyId) {
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.data.keyId === keyId) {
+        socket.disconnect(true);
+      }
+    }
+  }
+
   /**
    * Handle Observatory (human viewer) connections
    */
   handleObservatoryConnection(socket) {
-    console.log(`🔭 Observatory connected: ${socket.id}`);
+    console.log(`🔭 Observatory connected: ${socket.id} (${socket.data.role})`);
     
     socket.join('observatory');
+    if (this.authManager.hasRole(socket.data.role, 'operator')) {
+      socket.join('operators');
+    }
     
-    // Send initial state
+    // Send initial state; every role gets the read-only feed
     socket.emit('observatory:init', {
       agents: this.agentManager.getAllAgents(),
-      projects: this.projectManager.getAllProjects(),
+      projects: this.projectManager.getAllProjects()
+        .filter(project => this.canAccess(socket, project.id, 'read')),
       stats: {
         totalAgents: this.agentManager.getAgentCount(),
         totalProjects: this.projectManager.getProjectCount()
       },
-      leaderboard: this.agentManager.getLeaderboard(10)
+      leaderboard: this.agentManager.getLeaderboard(10),
+      role: socket.data.role,
+      // Only operators can decide proposals, so only they see them
+      ...(this.authManager.hasRole(socket.data.role, 'operator')
+        ? { proposals: this.approvalGates.list({ status: 'pending' }) }
+        : {})
     });
 
-    // Handle observatory actions
-    socket.on('observatory:create-task', (data) => {
+    this.handleMemorySubscriptions(socket);
+    this.handleProjectionRequests(socket);
+    this.handlePrivilegedEvents(socket, { id: 'observatory', name: 'observatory' });
+
+    socket.on('disconnect', () => {
+      console.log(`🔭 Observatory disconnected: ${socket.id}`);
+    });
+  }
+
+  /**
+   * Operator events, available to any socket whose role allows them
+   * Agents reach these too (the SDK's broadcast() emits observatory:broadcast).
+   */
+  handlePrivilegedEvents(socket, actor) {
+    socket.on('observatory:create-task', (data = {}) => {
+      if (!this.throttle(socket, 'observatory:create-task')) return;
+      if (!this.authorize(socket, 'operator', 'observatory:create-task')) return;
+
       const task = this.projectManager.addTask(data.projectId, data.title, data.priority);
       this.io.to(`project:${data.projectId}`).emit('task:created', task);
-      this.broadcastToObservatory('observatory:task-created', { projectId: data.projectId, task });
+      this.broadcastProjectToObservatory(data.projectId, 'observatory:task-created', { projectId: data.projectId, task });
+
+      const engineTask = this.taskEngine.createTask(data);
+      this.io.emit('task:created', engineTask);
+
+      // One event per request; the project task is the one agents claim and complete
+      this.memoryBus.append({
+        type: 'task:create',
+        projectId: data.projectId,
+        task: task || engineTask,
+        engineTaskId: engineTask.id,
+        author: actor.id
+      });
+
+      this.audit(socket, 'task:create', actor, data, {
+        projectId: data.projectId,
+        taskId: task ? task.id : null,
+        engineTaskId: engineTask.id
+      });
     });
 
-    socket.on('observatory:broadcast', (data) => {
+    socket.on('observatory:broadcast', (data = {}) => {
+      if (!this.throttle(socket, 'observatory:broadcast')) return;
+      if (!this.authorize(socket, 'operator', 'observatory:broadcast')) return;
+
+      const screened = this.screenSecrets(socket, actor, {
+        event: 'observatory:broadcast',
+        source: 'broadcast',
+        text: data.message,
+        mode: this.secretScanner.broadcastMode()
+      });
+      if (screened.blocked) return;
+
       this.io.emit('broadcast', {
-        from: 'observatory',
-        message: data.message,
+        from: actor.name,
+        message: screened.text,
         timestamp: Date.now()
       });
       this.memoryBus.append({
         type: 'broadcast',
-        message: data.message,
-        author: 'observatory'
+        message: screened.text,
+        author: actor.id
       });
-    });
 
-    socket.on('observatory:create-task', (data) => {
-      const task = this.taskEngine.createTask(data || {});
-      this.io.emit('task:created', task);
-      this.memoryBus.append({ type: 'task:create', task });
+      this.audit(socket, 'broadcast', actor, data);
     });
 
-    socket.on('disconnect', () => {
-      console.log(`🔭 Observatory disconnected: ${socket.id}`);
+    socket.on('observatory:decide-proposal', (data = {}) => {
+      if (!this.authorize(socket, 'operator', 'observatory:decide-proposal')) return;
+
+      const approve = data.decision === 'approve';
+      const proposal = this.decideProposal(data.proposalId, approve, actor, data.reason || null);
+      if (!proposal) {
+        socket.emit('error', { code: 'not_found', message: 'Proposal not found', event: 'observatory:decide-proposal' });
+        return;
+      }
+      if (proposal.error) {
+        socket.emit('error', { ...proposal.error, event: 'observatory:decide-proposal' });
+        return;
+      }
+      this.audit(socket, approve ? 'proposal:approve' : 'proposal:reject', actor, data, {
+        projectId: proposal.projectId,
+        proposalId: proposal.id,
+        agentId: proposal.agentId
+      });
     });
   }
 
@@ -95,6 +430,7 @@ class SocketHandler {
       socket.disconnect();
       return;
     }
+    socket.data.agentId = agent.id;
 
     // Send confirmation
     socket.emit('agent:registered', {
@@ -107,17 +443,23 @@ class SocketHandler {
 
     // Broadcast to observatory
     this.broadcastToObservatory('observatory:agent-joined', agent);
-    this.broadcastToObservatory('observatory:leaderboard', this.agentManager.getLeaderboard(10));
+    this.broadcastLeaderboard();
+
+    this.handleMemorySubscriptions(socket);
+    this.handleProjectionRequests(socket);
+    this.handlePrivilegedEvents(socket, { id: agent.id, name: agent.displayName });
 
     // Handle agent:join - Join a project
     socket.on('agent:join', (data) => {
-      const { projectId } = data;
+      if (!this.throttle(socket, 'agent:join')) return;
+      const { projectId, lastVersion } = data;
       const project = this.projectManager.getProject(projectId);
       
       if (!project) {
         socket.emit('error', { message: `Project ${projectId} not found` });
         return;
       }
+      if (!this.authorizeProject(socket, projectId, 'read', 'agent:join')) return;
 
       // Leave previous project
       if (agent.currentProject) {
@@ -133,9 +475,13 @@ class SocketHandler {
       socket.join(`project:${projectId}`);
       this.agentManager.updateProject(socket.id, projectId);
       
-      // Send full project state
-      const syncState = this.syncEngine.generateSyncState(project);
-      socket.emit('project:state', syncState);
+      // Agents that saw the project before get only what they missed, when the log still has it
+      const delta = lastVersion !== undefined ? this.syncEngine.generateSyncDelta(project, lastVersion) : null;
+      if (delta) {
+        socket.emit('project:delta', delta);
+      } else {
+        socket.emit('project:state', this.syncEngine.generateSyncState(project));
+      }
       
       // Notify other agents in project
       socket.to(`project:${projectId}`).emit('agent:joined', {
@@ -179,6 +525,7 @@ class SocketHandler {
 
     // Handle agent:action - Perform an action
     socket.on('agent:action', (data) => {
+      if (!this.throttle(socket, 'agent:action')) return;
       if (!agent.currentProject) {
         socket.emit('error', { message: 'Not in a project' });
         return;
@@ -186,11 +533,14 @@ class SocketHandler {
 
       const projectId = agent.currentProject;
       const project = this.projectManager.getProject(projectId);
+      const permission = ACTION_PERMISSIONS[data.type] || 'write';
+      if (!this.authorizeProject(socket, projectId, permission, `agent:action ${data.type}`)) return;
       
       this.handleAgentAction(socket, agent, project, data);
     });
 
     socket.on('agent:resources', (data) => {
+      if (!this.throttle(socket, 'agent:resources')) return;
       const updated = this.agentManager.updateResources(agent.id, data || {});
       if (updated) {
         this.broadcastToObservatory('observatory:agent-resources', {
@@ -202,6 +552,7 @@ class SocketHandler {
 
     // Handle agent:cursor - Update cursor position
     socket.on('agent:cursor', (data) => {
+      if (!this.throttle(socket, 'agent:cursor')) return;
       if (!agent.currentProject) return;
       
       const cursor = this.syncEngine.updateCursor(agent.currentProject, agent.id, {
@@ -221,6 +572,7 @@ class SocketHandler {
 
     // Handle agent:status - Update status
     socket.on('agent:status', (data) => {
+      if (!this.throttle(socket, 'agent:status')) return;
       this.agentManager.updateStatus(socket.id, data.status);
       
       if (agent.currentProject) {
@@ -240,6 +592,7 @@ class SocketHandler {
 
     // Handle agent:typing - Typing indicator
     socket.on('agent:typing', (data) => {
+      if (!this.throttle(socket, 'agent:typing')) return;
       if (!agent.currentProject) return;
       
       socket.to(`project:${agent.currentProject}`).emit('agent:typing', {
@@ -252,6 +605,7 @@ class SocketHandler {
 
     // Handle heartbeat
     socket.on('agent:heartbeat', () => {
+      if (!this.throttle(socket, 'agent:heartbeat')) return;
       const updated = this.agentManager.updateStatus(socket.id, agent.status);
       if (updated) {
         socket.emit('agent:heartbeat:ack', { timestamp: Date.now() });
@@ -275,44 +629,245 @@ class SocketHandler {
         agentId: agent.id,
         timestamp: Date.now()
       });
-      this.broadcastToObservatory('observatory:leaderboard', this.agentManager.getLeaderboard(10));
+      this.broadcastLeaderboard();
+    });
+  }
+
+  /**
+   * Answer projection:get with the current state of a materialized view
+   */
+  handleProjectionRequests(socket) {
+    socket.on('projection:get', (data = {}) => {
+      const canRead = (projectId) => this.canAccess(socket, projectId, 'read');
+      const view = this.projections.get(data.name, data.key ?? null, canRead);
+      if (!view) {
+        socket.emit('error', { message: `Projection ${data.name} not found` });
+        return;
+      }
+      socket.emit('projection:state', view);
+    });
+  }
+
+  /**
+   * Handle memory:subscribe / memory:unsubscribe for a socket
+   * Subscribers get the backlog after `afterEventId` (if given), then live appends.
+   * A backlog longer than MAX_BACKLOG_PAGES ends with `done: false` and a
+   * `cursor`; the subscription only goes live once the client resubscribes
+   * from that cursor and catches up. Events from projects the socket cannot
+   * read are left out.
+   */
+  handleMemorySubscriptions(socket) {
+    const subscriptions = new Map(); // subscriptionId -> unsubscribe
+
+    socket.on('memory:subscribe', (data = {}) => {
+      if (!this.throttle(socket, 'memory:subscribe')) return;
+      const subscriptionId = data.subscriptionId || uuidv4();
+      const filters = {
+        projectIds: Array.isArray(data.topics) && data.topics.length ? data.topics : null,
+        types: Array.isArray(data.types) && data.types.length ? data.types : null,
+        predicate: (event) => !event.projectId || this.canAccess(socket, event.projectId, 'read')
+      };
+
+      const denied = (filters.projectIds || []).find(projectId => !this.canAccess(socket, projectId, 'read'));
+      if (denied) {
+        socket.emit('error', {
+          code: 'forbidden',
+          message: `memory:subscribe requires the read permission on project ${denied}`,
+          event: 'memory:subscribe',
+          projectId: denied,
+          permission: 'read',
+          subscriptionId
+        });
+        return;
+      }
+
+      if (subscriptions.has(subscriptionId)) {
+        subscriptions.get(subscriptionId)();
+        subscriptions.delete(subscriptionId);
+      }
+
+      // Collect the backlog before subscribing; both happen in the same tick,
+      // so no append can fall between them.
+      const pages = [];
+      let after = data.afterEventId || null;
+      let truncated = false;
+      if (after) {
+        let page;
+        do {
+          page = this.memoryBus.query({ ...filters, after, limit: BACKLOG_PAGE_SIZE });
+          if (page.error) {
+            socket.emit('error', { message: page.error, subscriptionId });
+            return;
+          }
+          pages.push(page.events);
+          after = page.cursors.after;
+        } while (page.hasMore && pages.length < MAX_BACKLOG_PAGES);
+        truncated = page.hasMore;
+      }
+
+      socket.emit('memory:subscribed', {
+        subscriptionId,
+        topics: filters.projectIds,
+        types: filters.types
+      });
+      pages.forEach((events, i) => {
+        const last = i === pages.length - 1;
+        socket.emit('memory:backlog', {
+          subscriptionId,
+          events,
+          done: !(last && truncated),
+          ...(last && truncated ? { cursor: after } : {})
+        });
+      });
+      if (truncated) return;
+
+      subscriptions.set(subscriptionId, this.memoryBus.subscribe(filters, (event) => {
+        socket.emit('memory:event', { subscriptionId, event });
+      }));
+    });
+
+    socket.on('memory:unsubscribe', (data = {}) => {
+      const unsubscribe = subscriptions.get(data.subscriptionId);
+      if (unsubscribe) {
+        unsubscribe();
+        subscriptions.delete(data.subscriptionId);
+      }
+      socket.emit('memory:unsubscribed', { subscriptionId: data.subscriptionId });
+    });
+
+    socket.on('disconnect', () => {
+      for (const unsubscribe of subscriptions.values()) unsubscribe();
+      subscriptions.clear();
     });
   }
 
   /**
    * Handle different types of agent actions
+   * Returns what the action produced ({ file }, { task }, { comment }),
+   * { pending } when a gate held it, or { error }. `approved` applies an
+   * action an operator already approved: it skips scanning and the gates.
    */
-  handleAgentAction(socket, agent, project, data) {
+  handleAgentAction(socket, agent, project, data, { approved = false } = {}) {
     const { type, ...payload } = data;
     const projectId = project.id;
 
+    // File actions work on the canonical path
+    if (type.startsWith('file:')) {
+      const normalized = normalizeFilePath(payload.filePath);
+      if (normalized.error) {
+        this.rejectFileAction(socket, agent, projectId, type, payload.filePath, normalized.error);
+        return { error: normalized.error };
+      }
+      payload.filePath = normalized.path;
+    }
+
+    // Redacted content differs from what the sender holds, so it gets the update
+    // too. Text ops are screened by the content they produce, so a secret split
+    // across inserts is still found; a redacted result replaces them with ops
+    // against the current version, which the sender learns from `file:ack`.
+    // A revert is screened by the revision it restores and carries the
+    // screened text as `content`.
+    let redacted = false;
+    const scanned = SCANNED_FIELDS[type];
+    if (scanned && !approved) {
+      const current = payload.ops && project.files[payload.filePath] ? project.files[payload.filePath].content : '';
+      const preview = payload.ops ? this.previewOps(projectId, payload.filePath, current, payload.ops, payload.baseVersion) : null;
+      const revision = type === 'file:revert' ? this.projectManager.getRevision(projectId, payload.filePath, payload.version) : null;
+      if (type === 'file:revert') delete payload.content;
+      // Ops or revisions that do not apply are rejected by the action itself
+      const text = preview ? preview.content : revision ? revision.content : payload[scanned];
+      if (text !== undefined) {
+        const screened = this.screenSecrets(socket, { id: agent.id, name: agent.name }, {
+          event: 'agent:action',
+          source: type,
+          projectId,
+          filePath: payload.filePath,
+          text,
+          mode: this.secretScanner.modeFor(project)
+        });
+        if (screened.blocked) return { error: { code: 'secret_detected', message: 'Refused: possible secret found' } };
+        redacted = screened.text !== text;
+        if (redacted && preview) {
+          payload.ops = replaceOps(current, screened.text);
+          payload.baseVersion = this.syncEngine.getVersion(projectId);
+        } else if (redacted || revision) {
+          payload[scanned] = screened.text;
+        }
+      }
+    }
+    const recipients = redacted && !payload.ops ? this.io : socket;
+
+    if (!approved) {
+      const task = payload.taskId ? project.tasks.find(t => t.id === payload.taskId) : null;
+      const gate = this.approvalGates.match(project, agent.id, { type, ...payload }, { task });
+      if (gate) return { pending: this.holdAction(socket, agent, projectId, { type, ...payload }, gate) };
+    }
+
     switch (type) {
       case 'file:edit': {
-        const { filePath, content, selection } = payload;
+        const { filePath, selection } = payload;
         const oldFile = project.files[filePath];
+        let { content } = payload;
+        let ops = null;
+        let merged = false;
+
+        // Text ops are rebased past concurrent edits, then applied to the current file
+        if (payload.ops) {
+          const applied = this.previewOps(projectId, filePath, oldFile ? oldFile.content : '', payload.ops, payload.baseVersion);
+          if (applied.error) {
+            this.rejectFileAction(socket, agent, projectId, type, filePath, applied.error);
+            return { error: applied.error };
+          }
+          ops = applied.ops;
+          content = applied.content;
+        } else if (payload.baseVersion !== undefined) {
+          // Whole content against an older version is merged with what changed since
+          const merge = this.mergeEdit(projectId, filePath, oldFile, content, payload.baseVersion);
+          if (merge.error) {
+            this.rejectFileAction(socket, agent, projectId, type, filePath, merge.error);
+            return { error: merge.error };
+          }
+          if (merge.conflicts) {
+            this.reportConflict(socket, agent, projectId, filePath, oldFile, payload.baseVersion, merge.conflicts);
+            return { error: { code: 'conflict', message: `${filePath} changed since version ${payload.baseVersion} and could not be merged` } };
+          }
+          merged = merge.merged;
+          content = merge.content;
+        }
         
-        // Update file
+        // Update file; the operation logged below gets the next version
         const file = this.projectManager.updateFile(
           projectId,
           filePath,
           content,
-          agent.id
+          agent.id,
+          { syncVersion: this.syncEngine.getVersion(projectId) + 1 }
         );
+        if (file && file.error) {
+          this.rejectFileAction(socket, agent, projectId, type, filePath, file.error);
+          return { error: file.error };
+        }
 
         // Create operation for sync
         const operation = this.syncEngine.applyOperation(projectId, {
           type: 'file:edit',
           filePath,
-          content,
+          ...(ops ? { ops } : { content }),
           agentId: agent.id,
           selection
         });
+        this.syncEngine.transformCursors(projectId, operation, oldFile ? oldFile.content : '', content);
+
+        const patch = this.syncEngine.createPatch(oldFile ? oldFile.content : '', content);
 
-        // Broadcast to other agents
-        socket.to(`project:${projectId}`).emit('project:update', {
+        // Broadcast to other agents; OT clients apply `ops`, others take `content`
+        recipients.to(`project:${projectId}`).emit('project:update', {
           type: 'file:edit',
           filePath,
           content,
+          ...(ops ? { ops } : {}),
+          ...(merged ? { merged } : {}),
+          patch,
           agentId: agent.id,
           agentName: agent.name,
           version: operation.version,
@@ -326,48 +881,132 @@ class SocketHandler {
         this.agentManager.incrementStat(agent.socketId, 'actionsCompleted');
         this.agentManager.recordCodingActivity(agent.socketId);
 
+        // The sender learns the version its edit landed at, and how it was transformed or merged
+        if (ops) {
+          socket.emit('file:ack', { filePath, ops, version: operation.version });
+        } else if (payload.baseVersion !== undefined) {
+          socket.emit('file:ack', { filePath, version: operation.version, merged, ...(merged ? { content } : {}) });
+        }
+
+        this.memoryBus.append({ type: 'file:edit', projectId, agentId: agent.id, filePath, version: operation.version });
+
         // Notify observatory
-        this.broadcastToObservatory('observatory:activity', {
+        this.broadcastProjectToObservatory(projectId, 'observatory:activity', {
           type: 'file:edit',
           agentId: agent.id,
           agentName: agent.name,
           filePath,
+          patch,
           timestamp: Date.now()
         });
-        this.broadcastToObservatory('observatory:leaderboard', this.agentManager.getLeaderboard(10));
-        break;
+        this.broadcastLeaderboard();
+        return { file, version: operation.version };
       }
 
       case 'file:create': {
         const { filePath, content } = payload;
-        const file = this.projectManager.createFile(projectId, filePath, content, agent.id);
+        const file = this.projectManager.createFile(projectId, filePath, content, agent.id, {
+          syncVersion: this.syncEngine.getVersion(projectId) + 1
+        });
+        if (file && file.error) {
+          this.rejectFileAction(socket, agent, projectId, type, filePath, file.error);
+          return { error: file.error };
+        }
         
         if (file) {
-          this.syncEngine.applyOperation(projectId, {
+          const operation = this.syncEngine.applyOperation(projectId, {
             type: 'file:create',
             filePath,
+            content: file.content,
             agentId: agent.id
           });
           this.agentManager.incrementStat(agent.socketId, 'actionsCompleted');
           this.agentManager.recordCodingActivity(agent.socketId);
+          const patch = this.syncEngine.createPatch('', file.content);
 
-          socket.to(`project:${projectId}`).emit('project:update', {
+          recipients.to(`project:${projectId}`).emit('project:update', {
             type: 'file:create',
             file,
+            patch,
             agentId: agent.id,
-            agentName: agent.name
+            agentName: agent.name,
+            version: operation.version
           });
 
-          this.broadcastToObservatory('observatory:activity', {
+          this.memoryBus.append({ type: 'file:create', projectId, agentId: agent.id, filePath });
+
+          this.broadcastProjectToObservatory(projectId, 'observatory:activity', {
             type: 'file:create',
             agentId: agent.id,
             agentName: agent.name,
             filePath,
+            patch,
             timestamp: Date.now()
           });
-          this.broadcastToObservatory('observatory:leaderboard', this.agentManager.getLeaderboard(10));
+          this.broadcastLeaderboard();
+          return { file };
         }
-        break;
+        return { error: { code: 'file_exists', message: `${filePath} already exists` } };
+      }
+
+      case 'file:revert': {
+        const { filePath, version } = payload;
+        const previous = project.files[filePath];
+        const file = this.projectManager.revertFile(projectId, filePath, version, agent.id, {
+          syncVersion: this.syncEngine.getVersion(projectId) + 1,
+          content: payload.content
+        });
+
+        if (!file) {
+          socket.emit('error', { message: `Revision ${version} of ${filePath} not found` });
+          return { error: { code: 'not_found', message: `Revision ${version} of ${filePath} not found` } };
+        }
+        if (file.error) {
+          this.rejectFileAction(socket, agent, projectId, type, filePath, file.error);
+          return { error: file.error };
+        }
+
+        const operation = this.syncEngine.applyOperation(projectId, {
+          type: 'file:edit',
+          filePath,
+          content: file.content,
+          agentId: agent.id,
+          revertedFrom: version
+        });
+        this.syncEngine.transformCursors(projectId, operation, previous ? previous.content : '', file.content);
+
+        const patch = this.syncEngine.createPatch(previous ? previous.content : '', file.content);
+
+        // The reverting agent needs the restored content too
+        this.io.to(`project:${projectId}`).emit('project:update', {
+          type: 'file:revert',
+          filePath,
+          content: file.content,
+          patch,
+          revertedFrom: version,
+          fileVersion: file.version,
+          agentId: agent.id,
+          agentName: agent.name,
+          version: operation.version,
+          timestamp: Date.now()
+        });
+
+        this.agentManager.incrementStat(agent.socketId, 'actionsCompleted');
+        this.agentManager.recordCodingActivity(agent.socketId);
+
+        this.memoryBus.append({ type: 'file:revert', projectId, agentId: agent.id, filePath, revertedFrom: version });
+
+        this.broadcastProjectToObservatory(projectId, 'observatory:activity', {
+          type: 'file:revert',
+          agentId: agent.id,
+          agentName: agent.name,
+          filePath,
+          revertedFrom: version,
+          patch,
+          timestamp: Date.now()
+        });
+        this.broadcastLeaderboard();
+        return { file, version: operation.version };
       }
 
       case 'task:complete': {
@@ -390,26 +1029,41 @@ class SocketHandler {
             agentName: agent.name
           });
 
-          this.broadcastToObservatory('observatory:activity', {
+          this.memoryBus.append({ type: 'task:complete', projectId, agentId: agent.id, taskId, task, result });
+
+          this.broadcastProjectToObservatory(projectId, 'observatory:activity', {
             type: 'task:complete',
             agentId: agent.id,
             agentName: agent.name,
             taskTitle: task.title,
             timestamp: Date.now()
           });
-          this.broadcastToObservatory('observatory:leaderboard', this.agentManager.getLeaderboard(10));
+          this.broadcastLeaderboard();
+          return { task };
         }
-        break;
+        return { error: { code: 'not_found', message: `Task ${taskId} not found` } };
       }
 
       case 'task:claim': {
         const { taskId } = payload;
+        const previous = project.tasks.find(t => t.id === taskId);
+        const previousAssignee = previous ? previous.assignedTo : null;
         const task = this.projectManager.updateTask(projectId, taskId, {
           status: 'in-progress',
           assignedTo: agent.id
         });
 
         if (task) {
+          // Taking over a task someone else holds is a reassignment
+          if (previousAssignee && previousAssignee !== agent.id) {
+            this.audit(socket, 'task:reassign', { id: agent.id, name: agent.displayName }, payload, {
+              projectId,
+              taskId,
+              from: previousAssignee,
+              to: agent.id
+            });
+          }
+
           this.agentManager.incrementStat(agent.socketId, 'actionsCompleted');
           this.agentManager.recordCodingActivity(agent.socketId);
 
@@ -420,22 +1074,25 @@ class SocketHandler {
             agentName: agent.name
           });
 
-          this.broadcastToObservatory('observatory:activity', {
+          this.memoryBus.append({ type: 'task:claim', projectId, agentId: agent.id, taskId, task });
+
+          this.broadcastProjectToObservatory(projectId, 'observatory:activity', {
             type: 'task:claim',
             agentId: agent.id,
             agentName: agent.name,
             taskTitle: task.title,
             timestamp: Date.now()
           });
-          this.broadcastToObservatory('observatory:leaderboard', this.agentManager.getLeaderboard(10));
+          this.broadcastLeaderboard();
+          return { task };
         }
-        break;
+        return { error: { code: 'not_found', message: `Task ${taskId} not found` } };
       }
 
       case 'comment:add': {
         const { filePath, line, text } = payload;
         
-        socket.to(`project:${projectId}`).emit('project:update', {
+        recipients.to(`project:${projectId}`).emit('project:update', {
           type: 'comment:add',
           filePath,
           line,
@@ -444,14 +1101,225 @@ class SocketHandler {
           agentName: agent.name,
           timestamp: Date.now()
         });
-        break;
+        return { comment: { filePath, line, text } };
       }
 
       default:
         console.log(`Unknown action type: ${type}`);
+        return { error: { code: 'unknown_action', message: `Unknown action type: ${type}` } };
     }
   }
 
+  /**
+   * Rebase text ops made at `baseVersion` and apply them to the current content
+   * Returns { ops, content } or { error }.
+   */
+  previewOps(projectId, filePath, current, ops, baseVersion) {
+    const rebased = this.syncEngine.rebase(projectId, filePath, ops, baseVersion);
+    if (rebased.error) return rebased;
+    const applied = applyOps(current, rebased.ops);
+    return applied.error ? applied : { ops: rebased.ops, content: applied.content };
+  }
+
+  /**
+   * Merge a whole-file edit made at `baseVersion` with changes made since
+   * Returns { content, merged }, { conflicts } or { error }.
+   */
+  mergeEdit(projectId, filePath, current, content, baseVersion) {
+    const version = this.syncEngine.getVersion(projectId);
+    if (baseVersion > version) {
+      return { error: { code: 'invalid_base_version', message: `Base version ${baseVersion} is ahead of the project (${version})`, version } };
+    }
+
+    const head = this.projectManager.getRevisionAt(projectId, filePath, Infinity);
+    const base = this.projectManager.getRevisionAt(projectId, filePath, baseVersion);
+    if (base && base.error) return { error: { ...base.error, version } };
+    if (!current || !head || (base && base.version === head.version)) return { content, merged: false };
+
+    const result = this.syncEngine.merge(base ? base.content : '', content, current.content);
+    return result.conflicts ? result : { content: result.content, merged: true };
+  }
+
+  /**
+   * Reject a whole-file edit that could not be merged
+   * The agent gets `project:conflict` with each conflicting region.
+   */
+  reportConflict(socket, agent, projectId, filePath, current, baseVersion, conflicts) {
+    socket.emit('project:conflict', {
+      filePath,
+      baseVersion,
+      version: this.syncEngine.getVersion(projectId),
+      fileVersion: current.version,
+      conflicts,
+      timestamp: Date.now()
+    });
+    this.memoryBus.append({ type: 'file:conflict', projectId, agentId: agent.id, filePath, baseVersion, conflicts: conflicts.length });
+    this.broadcastProjectToObservatory(projectId, 'observatory:activity', {
+      type: 'file:conflict',
+      agentId: agent.id,
+      agentName: agent.name,
+      filePath,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Hold a gated action as a proposal for operators to decide
+   */
+  holdAction(socket, agent, projectId, action, gate) {
+    const proposal = this.approvalGates.propose({ projectId, agent, action, gate });
+
+    socket.emit('action:pending', {
+      proposalId: proposal.id,
+      gate: gate.name,
+      type: action.type,
+      ...(action.filePath ? { filePath: action.filePath } : {}),
+      ...(action.taskId ? { taskId: action.taskId } : {})
+    });
+    this.memoryBus.append({
+      type: 'proposal:create',
+      projectId,
+      agentId: agent.id,
+      proposalId: proposal.id,
+      gate: gate.name,
+      actionType: action.type
+    });
+    this.io.to('operators').emit('observatory:proposal', proposal);
+    return proposal;
+  }
+
+  /**
+   * Approve or reject a proposal and apply it if approved
+   * The originating agent gets `action:decided` with the outcome and, when
+   * applied, the result. Returns the proposal, null if unknown, or { error }.
+   */
+  decideProposal(proposalId, approve, decider, reason = null) {
+    const decided = this.approvalGates.decide(proposalId, approve, decider.id, reason);
+    if (!decided || decided.error) return decided;
+
+    const proposal = approve
+      ? this.approvalGates.settle(proposalId, this.applyProposal(decided))
+      : decided;
+
+    this.memoryBus.append({
+      type: 'proposal:decide',
+      projectId: proposal.projectId,
+      agentId: proposal.agentId,
+      proposalId,
+      status: proposal.status,
+      decidedBy: decider.id
+    });
+
+    const agent = this.agentManager.getAgentById(proposal.agentId);
+    if (agent) {
+      this.io.to(agent.socketId).emit('action:decided', {
+        proposalId,
+        status: proposal.status,
+        type: proposal.action.type,
+        decidedBy: decider.id,
+        reason: proposal.reason,
+        result: proposal.result,
+        ...(proposal.error ? { error: proposal.error } : {})
+      });
+    }
+    this.io.to('operators').emit('observatory:proposal-decided', proposal);
+    return proposal;
+  }
+
+  /**
+   * Apply an approved action on behalf of its agent
+   * The agent may have gone offline; its updates then go out from no socket.
+   */
+  applyProposal(proposal) {
+    const project = this.projectManager.getProject(proposal.projectId);
+    if (!project) return { error: { code: 'not_found', message: 'Project no longer exists' } };
+
+    const permission = ACTION_PERMISSIONS[proposal.action.type] || 'write';
+    if (!this.projectManager.can(project.id, proposal.agentId, permission)) {
+      return { error: { code: 'forbidden', message: `Agent no longer has ${permission} on the project` } };
+    }
+
+    // Offline agents get a stand-in socket; audit entries still name the agent
+    const live = this.agentManager.getAgentById(proposal.agentId);
+    const socket = (live && this.io.sockets.sockets.get(live.socketId)) || {
+      data: { agentId: proposal.agentId, keyId: null, role: 'agent' },
+      handshake: { address: null },
+      emit: () => {},
+      to: (room) => this.io.to(room)
+    };
+    const agent = live || { id: proposal.agentId, name: proposal.agentName, socketId: null };
+
+    const outcome = this.handleAgentAction(socket, agent, project, proposal.action, { approved: true });
+    return outcome.error ? { error: outcome.error } : { result: outcome };
+  }
+
+  /**
+   * Tell the agent why a file action was refused and let the observatory know
+   */
+  rejectFileAction(socket, agent, projectId, type, filePath, { code, message, ...details }) {
+    socket.emit('error', { code, message, event: 'agent:action', type, filePath, ...details });
+    this.broadcastProjectToObservatory(projectId, 'observatory:file-rejected', {
+      projectId,
+      agentId: agent.id,
+      agentName: agent.name,
+      type,
+      filePath,
+      code,
+      message,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Scan outgoing text for secrets and apply the mode
+   * Findings go to the memory bus and the observatory, and the sender is told:
+   * an `error` when blocked, `secret:warning` otherwise. Returns
+   * { blocked, text } with `text` redacted when the mode asks for it.
+   */
+  screenSecrets(socket, actor, { event, source, projectId = null, filePath = null, text, mode }) {
+    const result = this.secretScanner.inspect(text, mode);
+    if (result.findings.length === 0) return { blocked: false, text };
+
+    const findings = result.findings.map(({ rule, line, preview }) => ({ rule, line, preview }));
+    const outcome = result.blocked ? 'blocked' : mode === 'redact' ? 'redacted' : 'warned';
+
+    this.memoryBus.append({
+      type: 'secret:detected',
+      ...(projectId ? { projectId } : {}),
+      agentId: actor.id,
+      source,
+      filePath,
+      mode,
+      outcome,
+      findings
+    });
+    this.broadcastProjectToObservatory(projectId, 'observatory:secret-detected', {
+      projectId,
+      agentId: actor.id,
+      agentName: actor.name,
+      source,
+      filePath,
+      mode,
+      outcome,
+      findings,
+      timestamp: Date.now()
+    });
+
+    if (result.blocked) {
+      socket.emit('error', {
+        code: 'secret_detected',
+        message: `Refused: ${findings.length} possible secret${findings.length === 1 ? '' : 's'} found (${[...new Set(findings.map(f => f.rule))].join(', ')})`,
+        event,
+        ...(event === 'agent:action' ? { type: source } : {}),
+        ...(filePath ? { filePath } : {}),
+        findings
+      });
+    } else {
+      socket.emit('secret:warning', { source, projectId, filePath, mode, outcome, findings });
+    }
+    return { blocked: result.blocked, text: result.text };
+  }
+
   /**
    * Broadcast to all observatory viewers
    */
@@ -459,12 +1327,84 @@ class SocketHandler {
     this.io.to('observatory').emit(event, data);
   }
 
+  /**
+   * Live observatory sockets
+   */
+  *observatorySockets() {
+    for (const socketId of this.io.sockets.adapter.rooms.get('observatory') || []) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket) yield socket;
+    }
+  }
+
+  /**
+   * Send a project's event only to observatory sockets that can read the project
+   * Events without a project (e.g. broadcasts) go to every observatory socket.
+   */
+  broadcastProjectToObservatory(projectId, event, data) {
+    for (const socket of this.observatorySockets()) {
+      if (!projectId || this.canAccess(socket, projectId, 'read')) socket.emit(event, data);
+    }
+  }
+
+  /**
+   * Send consolidated cursor snapshots every `intervalMs`
+   */
+  startCursorSnapshots(intervalMs = 2000) {
+    if (this.cursorTimer) return;
+    this.cursorSnapshots = new Map(); // projectId -> last snapshot sent, serialised
+    this.cursorTimer = setInterval(() => this.sendCursorSnapshots(), intervalMs);
+    this.cursorTimer.unref();
+  }
+
+  stopCursorSnapshots() {
+    if (this.cursorTimer) {
+      clearInterval(this.cursorTimer);
+      this.cursorTimer = null;
+    }
+  }
+
+  /**
+   * Send `project:cursors` to each project room whose cursors changed since the
+   * last snapshot (moved, transformed by an edit, left or timed out), and
+   * `observatory:cursors` with every project's cursors if any did
+   */
+  sendCursorSnapshots() {
+    const snapshots = this.syncEngine.getAllCursors();
+    const timestamp = Date.now();
+    let changed = false;
+
+    for (const projectId of new Set([...Object.keys(snapshots), ...this.cursorSnapshots.keys()])) {
+      const cursors = snapshots[projectId] || {};
+      const serialised = JSON.stringify(cursors);
+      if (this.cursorSnapshots.get(projectId) === serialised) continue;
+
+      changed = true;
+      if (snapshots[projectId]) this.cursorSnapshots.set(projectId, serialised);
+      else this.cursorSnapshots.delete(projectId);
+      this.io.to(`project:${projectId}`).emit('project:cursors', {
+        projectId,
+        cursors,
+        version: this.syncEngine.getVersion(projectId),
+        timestamp
+      });
+    }
+
+    if (!changed) return;
+    // Each observatory socket only sees the projects it can read
+    for (const socket of this.observatorySockets()) {
+      const projects = Object.fromEntries(Object.entries(snapshots)
+        .filter(([projectId]) => this.canAccess(socket, projectId, 'read')));
+      socket.emit('observatory:cursors', { projects, timestamp });
+    }
+  }
+
   /**
    * Start demo mode with simulated agents
    */
   startDemoMode() {
     console.log('🎬 Starting demo mode...');
-    this.demoAgents = new DemoAgents(this.io, this.agentManager, this.projectManager);
+    this.demoAgents = new DemoAgents(this.io, this.agentManager, this.projectManager, this.authManager);
     this.demoAgents.start();
   }
 }
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage adapters - shared persistence layer for server services
+ *
+ * Every adapter stores JSON values by (collection, key) and implements:
+ * - get(collection, key)        -> value | undefined
+ * - put(collection, key, value)
+ * - delete(collection, key)
+ * - list(collection)            -> values ordered by key
+ * - transaction(fn)             -> fn(tx) where tx has get/put/delete/list;
+ *                                  writes apply together once fn returns,
+ *                                  and are discarded if it throws
+ *
+ * Adapters are synchronous so services can keep writing through inline.
+ * Values are copied on the way in and out; callers never share references
+ * with the store.
+ */
+
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Buffers writes for a transaction and reads its own writes
+ */
+class Transaction {
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.writes = new Map(); // "collection\0key" -> { collection, key, value, deleted }
+  }
+
+  slot(collection, key) {
+    return `${collection}\0${key}`;
+  }
+
+  get(collection, key) {
+    const pending = this.writes.get(this.slot(collection, key));
+    if (pending) return pending.deleted ? undefined : copy(pending.value);
+    return this.adapter.get(collection, key);
+  }
+
+  put(collection, key, value) {
+    this.writes.set(this.slot(collection, key), { collection, key, value: copy(value), deleted: false });
+  }
+
+  delete(collection, key) {
+    this.writes.set(this.slot(collection, key), { collection, key, deleted: true });
+  }
+
+  list(collection) {
+    const entries = new Map(this.adapter.entries(collection));
+    for (const write of this.writes.values()) {
+      if (write.collection !== collection) continue;
+      if (write.deleted) entries.delete(write.key);
+      else entries.set(write.key, write.value);
+    }
+    return sortByKey(entries).map(([, value]) => copy(value));
+  }
+}
+
+function sortByKey(entries) {
+  return Array.from(entries).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * MemoryAdapter - Keeps everything in process; used by default and in tests
+ */
+class MemoryAdapter {
+  constructor() {
+    this.collections = new Map(); // collection -> Map(key -> value)
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new Map());
+    return this.collections.get(name);
+  }
+
+  get(collection, key) {
+    return copy(this.collection(collection).get(key));
+  }
+
+  put(collection, key, value) {
+    this.collection(collection).set(key, copy(value));
+  }
+
+  delete(collection, key) {
+    this.collection(collection).delete(key);
+  }
+
+  entries(collection) {
+    return Array.from(this.collection(collection));
+  }
+
+  list(collection) {
+    return sortByKey(this.entries(collection)).map(([, value]) => copy(value));
+  }
+
+  transaction(fn) {
+    const tx = new Transaction(this);
+    const result = fn(tx);
+    for (const write of tx.writes.values()) {
+      if (write.deleted) this.delete(write.collection, write.key);
+      else this.put(write.collection, write.key, write.value);
+    }
+    return result;
+  }
+}
+
+// Longest encoded key used as a filename as is; NAME_MAX is 255 bytes, and
+// temp files add `.json.tmp`
+const MAX_NAME_LENGTH = 200;
+// encodeURIComponent never produces `%%`, so it marks hashed filenames
+const HASHED_MARK = '%%';
+
+/**
+ * FileSystemAdapter - One JSON file per record under DATA_DIR/<collection>/
+ * Writes go to a temp file and are renamed into place so a crash mid-write
+ * never leaves a truncated record behind. Keys too long for a filename are
+ * stored under a prefix and their SHA-256, with the key kept in the record.
+ */
+class FileSystemAdapter {
+  constructor(dir) {
+    this.dir = dir;
+    this.created = new Set(); // collection directories known to exist
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  collectionDir(collection) {
+    const dir = path.join(this.dir, encodeURIComponent(collection));
+    if (!this.created.has(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+      this.created.add(dir);
+    }
+    return dir;
+  }
+
+  nameFor(key) {
+    const encoded = encodeURIComponent(key);
+    if (encoded.length <= MAX_NAME_LENGTH) return encoded;
+    // Cut the prefix before a split escape so it stays readable
+    const prefix = encoded.slice(0, 100).replace(/%[0-9A-F]?$/, '');
+    return `${prefix}${HASHED_MARK}${crypto.createHash('sha256').update(key).digest('hex')}`;
+  }
+
+  fileFor(collection, key) {
+    return path.join(this.collectionDir(collection), `${this.nameFor(key)}.json`);
+  }
+
+  /**
+   * Serialise a record; hashed filenames cannot be decoded, so those records carry their key
+   */
+  serialize(key, value) {
+    return JSON.stringify(this.nameFor(key).includes(HASHED_MARK) ? { key, value } : value);
+  }
+
+  get(collection, key) {
+    try {
+      const record = JSON.parse(fs.readFileSync(this.fileFor(collection, key), 'utf8'));
+      return this.nameFor(key).includes(HASHED_MARK) ? record.value : record;
+    } catch (err) {
+      if (err.code === 'ENOENT') return undefined;
+      throw err;
+    }
+  }
+
+  put(collection, key, value) {
+    const file = this.fileFor(collection, key);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, this.serialize(key, value));
+    fs.renameSync(tmp, file);
+  }
+
+  delete(collection, key) {
+    fs.rmSync(this.fileFor(collection, key), { force: true });
+  }
+
+  entries(collection) {
+    const dir = this.collectionDir(collection);
+    const entries = [];
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        const record = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+        entries.push(name.includes(HASHED_MARK)
+          ? [record.key, record.value]
+          : [decodeURIComponent(name.slice(0, -'.json'.length)), record]);
+      } catch (err) {
+        console.error(`⚠️ Skipping unreadable record ${collection}/${name}: ${err.message}`);
+      }
+    }
+    return entries;
+  }
+
+  list(collection) {
+    return sortByKey(this.entries(collection)).map(([, value]) => value);
+  }
+
+  /**
+   * Stage every write as a temp file, then rename them all into place
+   */
+  transaction(fn) {
+    const tx = new Transaction(this);
+    const result = fn(tx);
+
+    const staged = [];
+    try {
+      for (const write of tx.writes.values()) {
+        if (write.deleted) continue;
+        const file = this.fileFor(write.collection, write.key);
+        fs.writeFileSync(`${file}.tmp`, this.serialize(write.key, write.value));
+        staged.push(file);
+      }
+    } catch (err) {
+      for (const file of staged) fs.rmSync(`${file}.tmp`, { force: true });
+      throw err;
+    }
+
+    for (const file of staged) fs.renameSync(`${file}.tmp`, file);
+    for (const write of tx.writes.values()) {
+      if (write.deleted) this.delete(write.collection, write.key);
+    }
+    return result;
+  }
+}
+
+/**
+ * Pick a storage adapter from the environment
+ * STORAGE=file persists under DATA_DIR, anything else stays in memory.
+ * PROJECT_STORE=file, its older name, is still honoured: projects already
+ * lived under DATA_DIR/projects, where the file adapter keeps them.
+ */
+function createStorage(env = process.env) {
+  if (!env.STORAGE && env.PROJECT_STORE) {
+    console.log('⚠️ PROJECT_STORE is deprecated; set STORAGE instead');
+  }
+  if ((env.STORAGE || env.PROJECT_STORE) === 'file') {
+    return new FileSystemAdapter(env.DATA_DIR || path.join(__dirname, '../data'));
+  }
+  return new MemoryAdapter();
+}
+
+module.exports = { MemoryAdapter, FileSystemAdapter, createStorage };
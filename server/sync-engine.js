@@ -1,12 +1,134 @@
+const { MemoryAdapter } = require('./storage');
+const { RetentionManager } = require('./retention');
+const { transformOps } = require('../sdk/lib/text-ops');
+const { diffSequences, merge3, unifiedHunks, wordDiff } = require('./diff');
+
+// Patches attached to updates stop listing hunks past this many lines
+const MAX_PATCH_LINES = 200;
+// Longer lines are shown whole rather than diffed word by word
+const MAX_WORD_DIFF_LENGTH = 500;
+
+// A final newline ends the last line rather than starting an empty one
+const toLines = (content) => (content ? content.replace(/\n$/, '').split('\n') : []);
+
+const lineStarts = (text) => {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) starts.push(i + 1);
+  }
+  return starts;
+};
+
+// Positions are { line, column }, both 0-based; out-of-range ones are clamped to the text
+function toOffset(text, starts, { line, column = 0 }) {
+  const row = Math.min(line, starts.length - 1);
+  const lineEnd = row + 1 < starts.length ? starts[row + 1] - 1 : text.length;
+  return Math.min(starts[row] + column, lineEnd);
+}
+
+function toPosition(starts, offset) {
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return { line: lo, column: offset - starts[lo] };
+}
+
+// An insert at the offset itself leaves it in front of the new text
+function shiftOffset(offset, op) {
+  if (op.type === 'insert') return op.position < offset ? offset + op.text.length : offset;
+  if (offset <= op.position) return offset;
+  return Math.max(op.position, offset - op.length);
+}
+
+/**
+ * Map positions through text ops, by character offset
+ */
+function offsetMapper(oldContent, newContent, ops) {
+  const before = lineStarts(oldContent);
+  const after = lineStarts(newContent);
+  return (position) => {
+    let offset = toOffset(oldContent, before, position);
+    for (const op of ops) offset = shiftOffset(offset, op);
+    return toPosition(after, offset);
+  };
+}
+
+/**
+ * Map positions through a whole-content edit, by line diff
+ * Lines outside changed regions move by the lines added or removed above
+ * them; positions in a replaced region move to its first line.
+ */
+function lineMapper(oldContent, newContent) {
+  const hunks = diffSequences(oldContent.split('\n'), newContent.split('\n'));
+  const newLines = newContent.split('\n');
+  return ({ line, column = 0 }) => {
+    let shift = 0;
+    for (const hunk of hunks) {
+      if (line < hunk.aStart) break;
+      if (line < hunk.aEnd) {
+        const target = Math.min(hunk.bStart, newLines.length - 1);
+        return { line: target, column: hunk.bEnd > hunk.bStart ? Math.min(column, newLines[target].length) : 0 };
+      }
+      shift = hunk.bEnd - hunk.aEnd;
+    }
+    return { line: line + shift, column };
+  };
+}
+
+/**
+ * Word diffs for the changed lines of a hunk
+ * In each run of removed then added lines, the n-th removed line pairs with
+ * the n-th added one. Pairs with nothing in common but whitespace are skipped.
+ */
+function wordChanges(lines) {
+  const words = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i][0] !== '-') {
+      i++;
+      continue;
+    }
+    const removedFrom = i;
+    while (i < lines.length && lines[i][0] === '-') i++;
+    const addedFrom = i;
+    while (i < lines.length && lines[i][0] === '+') i++;
+
+    const pairs = Math.min(addedFrom - removedFrom, i - addedFrom);
+    for (let k = 0; k < pairs; k++) {
+      const oldLine = lines[removedFrom + k].slice(1);
+      const newLine = lines[addedFrom + k].slice(1);
+      if (oldLine.length > MAX_WORD_DIFF_LENGTH || newLine.length > MAX_WORD_DIFF_LENGTH) continue;
+      const segments = wordDiff(oldLine, newLine);
+      if (!segments.some(([op, text]) => op === '=' && text.trim() !== '')) continue;
+      words.push({ old: removedFrom + k, new: addedFrom + k, segments });
+    }
+  }
+  return words;
+}
+
 /**
  * SyncEngine - Handles real-time state synchronization using Operational Transform
- * Simplified CRDT-like approach for collaborative editing
+ * Every change gets the next project version. Text edits sent as insert/delete
+ * ops against an older version are transformed past the ops logged since,
+ * so concurrent edits to one file all survive.
  */
 class SyncEngine {
-  constructor() {
+  constructor(storage = new MemoryAdapter(), retention = new RetentionManager(storage)) {
     this.operations = new Map(); // projectId -> list of operations
     this.cursors = new Map(); // projectId -> map of agent cursors
     this.versions = new Map(); // projectId -> version number
+    this.storage = storage;
+    this.retention = retention;
+
+    // Only version counters are persisted; the op log and cursors are
+    // rebuilt as agents reconnect.
+    for (const { projectId, version } of this.storage.list('sync-versions')) {
+      this.versions.set(projectId, version);
+    }
   }
 
   /**
@@ -16,7 +138,7 @@ class SyncEngine {
     if (!this.operations.has(projectId)) {
       this.operations.set(projectId, []);
       this.cursors.set(projectId, new Map());
-      this.versions.set(projectId, 0);
+      if (!this.versions.has(projectId)) this.versions.set(projectId, 0);
     }
   }
 
@@ -38,11 +160,10 @@ class SyncEngine {
     
     ops.push(op);
     this.versions.set(projectId, version);
+    this.storage.put('sync-versions', projectId, { projectId, version });
     
-    // Trim old operations (keep last 1000)
-    if (ops.length > 1000) {
-      this.operations.set(projectId, ops.slice(-1000));
-    }
+    // Trim old operations per the retention policy; trimmed ops are archived
+    this.operations.set(projectId, this.retention.enforce('operations', projectId, ops));
     
     return op;
   }
@@ -55,6 +176,36 @@ class SyncEngine {
     return ops.filter(op => op.version > sinceVersion);
   }
 
+  /**
+   * Transform text ops made against `baseVersion` so they apply to the current file
+   * Returns { ops } or { error: { code, message, version } }. Rebasing needs
+   * every op on the file since `baseVersion`: it fails with 'stale_base' when
+   * the log no longer reaches back that far, or when the file was replaced
+   * wholesale (created, reverted or edited with full content) in between.
+   */
+  rebase(projectId, filePath, ops, baseVersion) {
+    const version = this.getVersion(projectId);
+    const stale = (message) => ({ error: { code: 'stale_base', message, version } });
+
+    if (baseVersion > version) {
+      return { error: { code: 'invalid_base_version', message: `Base version ${baseVersion} is ahead of the project (${version})`, version } };
+    }
+    if (baseVersion === version) return { ops };
+
+    const log = this.operations.get(projectId) || [];
+    if (log.length === 0 || log[0].version > baseVersion + 1) {
+      return stale(`Operations since version ${baseVersion} are no longer available; resync ${filePath}`);
+    }
+
+    let rebased = ops;
+    for (const op of this.getOperationsSince(projectId, baseVersion)) {
+      if (op.filePath !== filePath) continue;
+      if (!op.ops) return stale(`${filePath} was replaced at version ${op.version}; resync it`);
+      [rebased] = transformOps(rebased, op.ops);
+    }
+    return { ops: rebased };
+  }
+
   /**
    * Get current version
    */
@@ -62,6 +213,17 @@ class SyncEngine {
     return this.versions.get(projectId) || 0;
   }
 
+  /**
+   * Set the version for a project, e.g. when restoring an imported project
+   * Logged operations no longer describe its files, so the log is cleared.
+   */
+  setVersion(projectId, version) {
+    this.initializeProject(projectId);
+    this.operations.set(projectId, []);
+    this.versions.set(projectId, version);
+    this.storage.put('sync-versions', projectId, { projectId, version });
+  }
+
   /**
    * Update cursor position for an agent
    */
@@ -106,56 +268,123 @@ class SyncEngine {
   }
 
   /**
-   * Transform cursor positions after an edit
-   * Simplified: just notify clients to re-sync
+   * Get the live cursors of every project that has any
+   * @returns {Object} projectId -> agentId -> cursor
    */
-  transformCursors(projectId, operation) {
-    // In a full implementation, this would adjust cursor positions
-    // based on insertions/deletions before the cursor
-    // For now, clients re-sync on each operation
+  getAllCursors() {
+    const result = {};
+    for (const projectId of this.cursors.keys()) {
+      const cursors = this.getCursors(projectId);
+      if (Object.keys(cursors).length > 0) result[projectId] = cursors;
+    }
+    return result;
   }
 
   /**
-   * Create a text patch from old to new content
+   * Shift cursors and selections on a file past a logged edit
+   * Text ops move positions by offset; whole-content edits by line diff.
+   * Selections are { ranges: [{ start, end }] } with positions like the
+   * cursor's. The editing agent's own cursor is left for it to update.
    */
-  createPatch(oldContent, newContent, filePath, agentId) {
-    // Simple line-based diff for now
-    const oldLines = oldContent.split('\n');
-    const newLines = newContent.split('\n');
-    
-    // Find changed lines
-    const changes = [];
-    const maxLen = Math.max(oldLines.length, newLines.length);
-    
-    for (let i = 0; i < maxLen; i++) {
-      if (oldLines[i] !== newLines[i]) {
-        changes.push({
-          line: i,
-          old: oldLines[i] || '',
-          new: newLines[i] || ''
-        });
+  transformCursors(projectId, operation, oldContent, newContent) {
+    const cursors = this.cursors.get(projectId);
+    if (!cursors) return;
+
+    let map = null;
+    for (const [agentId, cursor] of cursors) {
+      if (agentId === operation.agentId || cursor.filePath !== operation.filePath) continue;
+      map = map || (operation.ops
+        ? offsetMapper(oldContent, newContent, operation.ops)
+        : lineMapper(oldContent, newContent));
+
+      const moved = { ...cursor, ...map(cursor) };
+      if (cursor.selection && Array.isArray(cursor.selection.ranges)) {
+        moved.selection = {
+          ...cursor.selection,
+          ranges: cursor.selection.ranges.map(range => ({ start: map(range.start), end: map(range.end) }))
+        };
       }
+      cursors.set(agentId, moved);
     }
-    
+  }
+
+  /**
+   * Create a compact patch from old to new content
+   * Returns { added, removed, hunks, truncated? } where hunks are unified-diff
+   * hunks (see diff.js). Paired changed lines also get `words`: word-level
+   * segments, indexed by their positions in `lines`. Past MAX_PATCH_LINES the
+   * remaining hunks are left out and `truncated` is set.
+   */
+  createPatch(oldContent, newContent, { context = 3 } = {}) {
+    const hunks = unifiedHunks(toLines(oldContent), toLines(newContent), { context });
+    const patch = { added: 0, removed: 0, hunks: [] };
+    let size = 0;
+
+    for (const hunk of hunks) {
+      const added = hunk.lines.filter(line => line[0] === '+').length;
+      const removed = hunk.lines.filter(line => line[0] === '-').length;
+      patch.added += added;
+      patch.removed += removed;
+
+      size += hunk.lines.length;
+      if (size > MAX_PATCH_LINES) {
+        patch.truncated = true;
+        continue;
+      }
+      const words = wordChanges(hunk.lines);
+      patch.hunks.push(words.length ? { ...hunk, words } : hunk);
+    }
+    return patch;
+  }
+
+  /**
+   * Three-way merge of a whole-file edit made against an older revision
+   * `ours` is the incoming content, `theirs` the file as it is now.
+   * Returns { content } for a clean merge, or { conflicts } with one entry per
+   * conflicting region: { baseStart (1-based line), baseLines, base, ours, theirs }.
+   */
+  merge(base, ours, theirs) {
+    const { result, conflicts } = merge3(base.split('\n'), ours.split('\n'), theirs.split('\n'));
+    if (conflicts.length === 0) return { content: result.join('\n') };
     return {
-      type: 'text:patch',
-      filePath,
-      changes,
-      agentId,
-      timestamp: Date.now()
+      conflicts: conflicts.map(conflict => ({
+        baseStart: conflict.baseStart + 1,
+        baseLines: conflict.baseEnd - conflict.baseStart,
+        base: conflict.base.join('\n'),
+        ours: conflict.ours.join('\n'),
+        theirs: conflict.theirs.join('\n')
+      }))
     };
   }
 
   /**
-   * Resolve conflicts between concurrent edits
-   * Simple last-write-wins with conflict marking
+   * Generate the operations an agent missed since `lastVersion`
+   * Returns null when a full snapshot is needed instead: `lastVersion` is
+   * ahead of the project, the log no longer reaches back that far, or the
+   * missed operations carry more text than the files themselves.
    */
-  resolveConflict(localOp, remoteOp) {
-    if (localOp.timestamp > remoteOp.timestamp) {
-      return { winner: localOp, loser: remoteOp };
-    } else {
-      return { winner: remoteOp, loser: localOp };
-    }
+  generateSyncDelta(project, lastVersion) {
+    const version = this.getVersion(project.id);
+    if (lastVersion > version) return null;
+
+    const log = this.operations.get(project.id) || [];
+    if (lastVersion < version && (log.length === 0 || log[0].version > lastVersion + 1)) return null;
+
+    const operations = this.getOperationsSince(project.id, lastVersion);
+    const textSize = (op) => (op.content || '').length + (op.ops || []).reduce((sum, o) => sum + (o.text || '').length, 0);
+    const deltaSize = operations.reduce((sum, op) => sum + textSize(op), 0);
+    const snapshotSize = Object.values(project.files).reduce((sum, file) => sum + (file.content || '').length, 0);
+    if (deltaSize > snapshotSize) return null;
+
+    return {
+      projectId: project.id,
+      baseVersion: lastVersion,
+      version,
+      operations,
+      tasks: project.tasks,
+      cursors: this.getCursors(project.id),
+      timestamp: Date.now()
+    };
   }
 
   /**
@@ -1,11 +1,21 @@
 const { v4: uuidv4 } = require('uuid');
+const { MemoryAdapter } = require('./storage');
 
 /**
  * TaskEngine - contract-net style task delegation
  */
 class TaskEngine {
-  constructor() {
+  constructor(storage = new MemoryAdapter()) {
     this.tasks = new Map();
+    this.storage = storage;
+
+    for (const task of this.storage.list('tasks')) {
+      this.tasks.set(task.id, task);
+    }
+  }
+
+  persist(task) {
+    this.storage.put('tasks', task.id, task);
   }
 
   createTask({ title, description = '', priority = 'medium', projectId }) {
@@ -21,6 +31,7 @@ class TaskEngine {
       assignedTo: null
     };
     this.tasks.set(task.id, task);
+    this.persist(task);
     return task;
   }
 
@@ -28,6 +39,7 @@ class TaskEngine {
     const task = this.tasks.get(taskId);
     if (!task) return null;
     task.bids.push({ agentId, score, ts: Date.now() });
+    this.persist(task);
     return task;
   }
 
@@ -37,6 +49,7 @@ class TaskEngine {
     task.bids.sort((a,b) => b.score - a.score);
     task.assignedTo = task.bids[0].agentId;
     task.status = 'assigned';
+    this.persist(task);
     return task;
   }
 }
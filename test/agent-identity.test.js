@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+  parsePublicKey,
+  fingerprint,
+  createChallenge,
+  verifyChallenge,
+  generateIdentity,
+  signChallenge
+} = require('../server/agent-identity');
+const AgentManager = require('../server/agent-manager');
+const { HiveMindAgent } = require('../sdk');
+
+test('a signed challenge verifies only for its key and nonce', () => {
+  const identity = generateIdentity();
+  const other = generateIdentity();
+  const nonce = createChallenge();
+  const signature = signChallenge(identity.privateKey, nonce);
+
+  assert.ok(verifyChallenge(identity.publicKey, nonce, signature));
+  assert.ok(!verifyChallenge(other.publicKey, nonce, signature));
+  assert.ok(!verifyChallenge(identity.publicKey, createChallenge(), signature));
+  assert.ok(!verifyChallenge(identity.publicKey, nonce, 'not a signature'));
+  assert.ok(!verifyChallenge(identity.publicKey, nonce, undefined));
+});
+
+test('the SDK signs challenges the server accepts', () => {
+  const agent = new HiveMindAgent();
+  const nonce = createChallenge();
+  assert.ok(verifyChallenge(agent.identity.publicKey, nonce, agent.signChallenge(nonce)));
+});
+
+test('only Ed25519 SPKI keys parse', () => {
+  const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  assert.ok(parsePublicKey(generateIdentity().publicKey));
+  assert.strictEqual(parsePublicKey(publicKey.export({ format: 'der', type: 'spki' }).toString('base64')), null);
+  assert.strictEqual(parsePublicKey('garbage'), null);
+});
+
+test('keys bind to new profiles and cannot be swapped or claimed later', (t) => {
+  t.mock.method(global, 'setInterval', () => 0);
+  t.mock.method(console, 'log', () => {});
+  const manager = new AgentManager();
+  const identity = generateIdentity();
+  const intruder = generateIdentity();
+
+  const checked = manager.checkIdentity(null, identity.publicKey);
+  assert.strictEqual(checked.agentId, fingerprint(identity.publicKey));
+  const agent = manager.registerAgent({ id: 's1' }, { agentId: checked.agentId, publicKey: identity.publicKey });
+  assert.ok(agent.verified);
+
+  assert.strictEqual(manager.checkIdentity(checked.agentId, intruder.publicKey).error.code, 'key_mismatch');
+  assert.strictEqual(manager.checkIdentity(checked.agentId, null).error.code, 'identity_required');
+  assert.strictEqual(manager.checkIdentity('x', 'garbage').error.code, 'invalid_public_key');
+
+  // A keyless profile needs an API key issued to it before a key binds
+  manager.registerAgent({ id: 's2' }, { agentId: 'keyless' });
+  assert.strictEqual(manager.checkIdentity('keyless', intruder.publicKey).error.code, 'key_unbound');
+  assert.deepStrictEqual(
+    manager.checkIdentity('keyless', intruder.publicKey, { keyAgentId: 'keyless' }),
+    { agentId: 'keyless', publicKey: intruder.publicKey }
+  );
+});
+
+test('required identity mode rejects agents without a key', (t) => {
+  t.mock.method(global, 'setInterval', () => 0);
+  const manager = new AgentManager(undefined, { identityMode: 'required' });
+  assert.strictEqual(manager.checkIdentity('agent-a', null).error.code, 'identity_required');
+});
+
+test('keyless profiles are only handed to callers with an API key issued to them', (t) => {
+  t.mock.method(global, 'setInterval', () => 0);
+  t.mock.method(console, 'log', () => {});
+  const manager = new AgentManager();
+  assert.deepStrictEqual(manager.checkIdentity('keyless', null), { agentId: 'keyless', publicKey: null });
+  manager.registerAgent({ id: 's1' }, { agentId: 'keyless' });
+
+  assert.strictEqual(manager.checkIdentity('keyless', null).error.code, 'api_key_required');
+  assert.strictEqual(manager.checkIdentity('keyless', null, { keyAgentId: 'other' }).error.code, 'api_key_required');
+  assert.deepStrictEqual(
+    manager.checkIdentity('keyless', null, { keyAgentId: 'keyless' }),
+    { agentId: 'keyless', publicKey: null }
+  );
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AgentManager = require('../server/agent-manager');
+const { MemoryAdapter } = require('../server/storage');
+
+// The heartbeat monitor would otherwise keep the test process alive
+function quiet(t) {
+  t.mock.method(global, 'setInterval', () => 0);
+  t.mock.method(console, 'log', () => {});
+}
+
+test('profiles keep their number and stats across reconnects and restarts', (t) => {
+  quiet(t);
+  const storage = new MemoryAdapter();
+  const manager = new AgentManager(storage);
+
+  const first = manager.registerAgent({ id: 's1' }, { agentId: 'agent-a', name: 'Alpha' });
+  manager.incrementStat('s1', 'tasksCompleted', 2);
+  manager.removeAgent('s1');
+  const again = manager.registerAgent({ id: 's2' }, { agentId: 'agent-a' });
+
+  assert.strictEqual(again.number, first.number);
+  assert.strictEqual(again.name, 'Alpha');
+  assert.strictEqual(again.stats.tasksCompleted, 2);
+
+  const restarted = new AgentManager(storage);
+  const profile = restarted.getProfile('agent-a');
+  assert.strictEqual(profile.number, first.number);
+  assert.strictEqual(profile.sessions, 2);
+  assert.strictEqual(profile.stats.tasksCompleted, 2);
+
+  const other = restarted.registerAgent({ id: 's3' }, { agentId: 'agent-b' });
+  assert.strictEqual(other.number, first.number + 1);
+});
+
+test('a newer session keeps the agent id when the old socket disconnects', (t) => {
+  quiet(t);
+  const manager = new AgentManager(new MemoryAdapter());
+  manager.registerAgent({ id: 's1' }, { agentId: 'agent-a' });
+  manager.registerAgent({ id: 's2' }, { agentId: 'agent-a' });
+  manager.removeAgent('s1');
+  assert.strictEqual(manager.getAgentById('agent-a').socketId, 's2');
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ApprovalGates, globToRegExp } = require('../server/approval-gates');
+const { MemoryAdapter } = require('../server/storage');
+
+const project = { id: 'p1' };
+const agent = { id: 'agent-1', name: 'One' };
+
+test('globs match within and across path segments', () => {
+  assert.ok(globToRegExp('config/*.json').test('config/app.json'));
+  assert.ok(!globToRegExp('config/*.json').test('config/nested/app.json'));
+  assert.ok(globToRegExp('**/secrets/**').test('secrets/key.pem'));
+  assert.ok(globToRegExp('**/secrets/**').test('deploy/secrets/prod/key.pem'));
+  assert.ok(globToRegExp('file?.txt').test('file1.txt'));
+  assert.ok(!globToRegExp('a.b').test('axb'));
+});
+
+test('gates hold matching paths, task priorities and bulk actions', () => {
+  const gates = new ApprovalGates(new MemoryAdapter(), {
+    gates: [
+      { name: 'protected', actions: ['file:edit'], paths: ['infra/**'] },
+      { name: 'critical', actions: ['task:complete'], taskPriorities: ['critical'], projects: ['p1'] },
+      { name: 'bulk', actions: ['file:create'], bulk: { count: 2, windowMs: 1000 } }
+    ]
+  });
+
+  assert.strictEqual(gates.match(project, agent.id, { type: 'file:edit', filePath: 'infra/main.tf' }).name, 'protected');
+  assert.strictEqual(gates.match(project, agent.id, { type: 'file:edit', filePath: 'src/app.js' }), null);
+  assert.strictEqual(gates.match(project, agent.id, { type: 'task:complete' }, { task: { priority: 'critical' } }).name, 'critical');
+  assert.strictEqual(gates.match({ id: 'p2' }, agent.id, { type: 'task:complete' }, { task: { priority: 'critical' } }), null);
+
+  const create = (now) => gates.match(project, agent.id, { type: 'file:create' }, { now });
+  assert.strictEqual(create(0), null);
+  assert.strictEqual(create(10), null);
+  assert.strictEqual(create(20).name, 'bulk');
+  assert.strictEqual(create(1500), null);
+});
+
+test('bulk timestamps for idle agents are pruned', () => {
+  const gates = new ApprovalGates(new MemoryAdapter(), {
+    gates: [{ name: 'bulk', actions: ['file:create'], bulk: { count: 5, windowMs: 1000 } }]
+  });
+  for (let i = 0; i < 20; i++) gates.match(project, `agent-${i}`, { type: 'file:create' }, { now: i });
+  assert.strictEqual(gates.recent.size, 20);
+  gates.match(project, 'late', { type: 'file:create' }, { now: 5000 });
+  assert.deepStrictEqual(Array.from(gates.recent.keys()), ['bulk:p1:late']);
+});
+
+test('proposals are decided once and settle as failed when applying errors', () => {
+  const gates = new ApprovalGates();
+  const proposal = gates.propose({ projectId: 'p1', agent, action: { type: 'file:edit' }, gate: { name: 'g' } });
+  assert.strictEqual(proposal.status, 'pending');
+
+  const approved = gates.decide(proposal.id, true, 'op-1', 'looks fine');
+  assert.deepStrictEqual([approved.status, approved.decidedBy, approved.reason], ['approved', 'op-1', 'looks fine']);
+  assert.strictEqual(gates.decide(proposal.id, false, 'op-2').error.code, 'already_decided');
+  assert.strictEqual(gates.decide('missing', true, 'op-1'), null);
+
+  assert.strictEqual(gates.settle(proposal.id, { error: 'lost access' }).status, 'failed');
+  assert.deepStrictEqual(gates.list({ status: 'failed' }).map(p => p.id), [proposal.id]);
+  assert.deepStrictEqual(gates.list({ status: 'approved' }), []);
+});
+
+test('listing filters through the status index and pages with before', (t) => {
+  let clock = 0;
+  t.mock.method(Date, 'now', () => ++clock);
+  const gates = new ApprovalGates();
+  const ids = [];
+  for (let i = 0; i < 5; i++) {
+    ids.push(gates.propose({ projectId: i < 3 ? 'p1' : 'p2', agent, action: { type: 'file:edit' }, gate: { name: 'g' } }).id);
+  }
+
+  assert.deepStrictEqual(gates.list({ projectId: 'p1' }).map(p => p.id), [ids[2], ids[1], ids[0]]);
+  const page = gates.list({ limit: 2 });
+  assert.deepStrictEqual(page.map(p => p.id), [ids[4], ids[3]]);
+  assert.deepStrictEqual(gates.list({ limit: 2, before: ids[3] }).map(p => p.id), [ids[2], ids[1]]);
+
+  // A cursor that has since been decided still marks the spot
+  gates.decide(ids[3], false, 'op-1');
+  assert.deepStrictEqual(gates.list({ status: 'pending', before: ids[3] }).map(p => p.id), [ids[2], ids[1], ids[0]]);
+});
+
+test('proposals stored before the index are indexed on start', () => {
+  const storage = new MemoryAdapter();
+  storage.put('proposals', 'old', { id: 'old', projectId: 'p1', agentId: 'a', status: 'rejected', createdAt: 1 });
+  const gates = new ApprovalGates(storage);
+  assert.deepStrictEqual(gates.list({ status: 'rejected' }).map(p => p.id), ['old']);
+});
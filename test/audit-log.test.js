@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { AuditLog } = require('../server/audit-log');
+const { MemoryAdapter } = require('../server/storage');
+
+function seededLog(storage = new MemoryAdapter(), options) {
+  const log = new AuditLog(storage, options);
+  log.record({ action: 'broadcast', actor: { id: 'op-1' }, role: 'operator', payload: { message: 'hi' } });
+  log.record({ action: 'task:create', actor: { id: 'op-2' }, role: 'operator', target: { projectId: 'p1' } });
+  log.record({ action: 'broadcast', actor: { id: 'op-1' }, role: 'operator', payload: { message: 'again' } });
+  return { log, storage };
+}
+
+test('an untouched chain verifies and survives a restart', () => {
+  const { storage } = seededLog();
+  const reopened = new AuditLog(storage);
+  assert.deepStrictEqual(reopened.verify(), { valid: true, count: 3, head: reopened.head });
+  assert.strictEqual(reopened.record({ action: 'x', actor: { id: 'a' }, role: 'admin' }).seq, 4);
+  assert.ok(reopened.verify().valid);
+});
+
+test('edits, removals and truncation break the chain', () => {
+  const edited = seededLog();
+  const entry = edited.storage.get('audit-log', edited.log.key(2));
+  edited.storage.put('audit-log', edited.log.key(2), { ...entry, actor: { id: 'someone-else' } });
+  assert.deepStrictEqual([edited.log.verify().seq, edited.log.verify().reason], [2, 'entry modified']);
+
+  const removed = seededLog();
+  removed.storage.delete('audit-log', removed.log.key(2));
+  assert.strictEqual(removed.log.verify().valid, false);
+
+  const truncated = seededLog();
+  truncated.storage.delete('audit-log', truncated.log.key(3));
+  assert.strictEqual(truncated.log.verify().reason, 'head does not match the last entry');
+});
+
+test('a chain keyed with a secret only verifies with that secret', () => {
+  const { storage } = seededLog(new MemoryAdapter(), { secret: 'k1' });
+  assert.ok(new AuditLog(storage, { secret: 'k1' }).verify().valid);
+  assert.strictEqual(new AuditLog(storage, { secret: 'k2' }).verify().reason, 'entry modified');
+  assert.strictEqual(new AuditLog(storage).verify().valid, false);
+});
+
+test('queries filter and page forwards by seq', () => {
+  const { log } = seededLog();
+  const first = log.query({ action: 'broadcast', limit: 1 });
+  assert.deepStrictEqual(first.entries.map(e => e.seq), [1]);
+  assert.strictEqual(first.hasMore, true);
+
+  const next = log.query({ action: 'broadcast', after: 1, limit: 1 });
+  assert.deepStrictEqual(next.entries.map(e => e.seq), [3]);
+  assert.strictEqual(next.hasMore, false);
+
+  assert.deepStrictEqual(log.query({ actorId: 'op-2' }).entries.map(e => e.seq), [2]);
+  assert.strictEqual(log.query().entries[0].payloadDigest.length, 64);
+});
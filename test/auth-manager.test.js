@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AuthManager = require('../server/auth-manager');
+const { MemoryAdapter } = require('../server/storage');
+
+test('issued keys verify for their agent and stop working once revoked', () => {
+  const storage = new MemoryAdapter();
+  const auth = new AuthManager(storage, { mode: 'required' });
+  const { key, token } = auth.issue({ agentId: 'agent-a', label: 'ci' });
+
+  // Only a hash of the secret is kept, and it never leaves the server
+  const secret = token.slice(`hm_${key.id}_`.length);
+  assert.notStrictEqual(storage.get('agent-keys', key.id).hash, secret);
+  assert.strictEqual(key.hash, undefined);
+  assert.deepStrictEqual(auth.verify(token), { agentId: 'agent-a', keyId: key.id, role: 'agent' });
+  assert.strictEqual(auth.verify(`${token}x`).error.code, 'invalid_token');
+  assert.strictEqual(auth.verify('nonsense').error.code, 'invalid_token');
+
+  auth.revoke(key.id);
+  assert.strictEqual(auth.verify(token).error.code, 'token_revoked');
+});
+
+test('rotation issues a replacement and revokes the old key', () => {
+  const auth = new AuthManager(new MemoryAdapter());
+  const first = auth.issue({ agentId: 'agent-a', role: 'operator', label: 'ops' });
+  const rotated = auth.rotate(first.key.id);
+
+  assert.strictEqual(rotated.key.rotatedFrom, first.key.id);
+  assert.strictEqual(rotated.key.role, 'operator');
+  assert.strictEqual(auth.verify(first.token).error.code, 'token_revoked');
+  assert.strictEqual(auth.verify(rotated.token).agentId, 'agent-a');
+  assert.strictEqual(auth.rotate(first.key.id).error, 'Key is revoked');
+  assert.strictEqual(auth.rotate('missing'), null);
+});
+
+test('agent auth modes and the shared token', () => {
+  assert.strictEqual(new AuthManager().verify(null).error.code, 'auth_required');
+  assert.deepStrictEqual(new AuthManager(undefined, { mode: 'off' }).verify(null), { agentId: null, keyId: null, role: 'agent' });
+  assert.strictEqual(new AuthManager(undefined, { mode: 'off', sharedToken: 'shared-secret' }).verify(null).error.code, 'auth_required');
+
+  const shared = new AuthManager(undefined, { sharedToken: 'shared-secret' });
+  assert.strictEqual(shared.verify(null).error.code, 'auth_required');
+  assert.strictEqual(shared.verify('shared-secret').role, 'agent');
+
+  const auth = new AuthManager();
+  const { token } = auth.issue({ role: 'viewer' });
+  assert.strictEqual(auth.verify(token).error.code, 'wrong_credential');
+});
+
+test('observatory roles rank viewer < operator < admin', () => {
+  const auth = new AuthManager(new MemoryAdapter(), { adminToken: 'root', anonymousRole: 'viewer' });
+  const operator = auth.issue({ role: 'operator' });
+  const agent = auth.issue({ agentId: 'agent-a' });
+
+  assert.deepStrictEqual(auth.verifyOperator(null), { role: 'viewer', keyId: null });
+  assert.deepStrictEqual(auth.verifyOperator('root'), { role: 'admin', keyId: null });
+  assert.strictEqual(auth.verifyOperator(operator.token).role, 'operator');
+  assert.strictEqual(auth.verifyOperator(agent.token).error.code, 'wrong_credential');
+
+  assert.ok(auth.hasRole('admin', 'operator'));
+  assert.ok(auth.hasRole('operator', 'viewer'));
+  assert.ok(!auth.hasRole('viewer', 'operator'));
+  assert.ok(!auth.hasRole('unknown', 'agent'));
+});
+
+test('an unknown anonymous role falls back to viewer', () => {
+  assert.strictEqual(new AuthManager(undefined, { anonymousRole: 'root' }).identify(null).role, 'viewer');
+  assert.strictEqual(new AuthManager(undefined, { anonymousRole: 'agent' }).identify(null).role, 'agent');
+});
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffSequences, merge3, unifiedHunks, wordDiff, MAX_EDITS } = require('../server/diff');
+const SyncEngine = require('../server/sync-engine');
+
+const lines = (text) => text.split('\n');
+
+test('changes to different regions merge cleanly', () => {
+  const base = lines('a\nb\nc\nd\ne');
+  const ours = lines('A\nb\nc\nd\ne');
+  const theirs = lines('a\nb\nc\nd\nE\nf');
+  assert.deepStrictEqual(merge3(base, ours, theirs), { result: lines('A\nb\nc\nd\nE\nf'), conflicts: [] });
+});
+
+test('identical changes on both sides are not a conflict', () => {
+  const base = lines('a\nb\nc');
+  const both = lines('a\nB\nc');
+  assert.deepStrictEqual(merge3(base, both, both).conflicts, []);
+  assert.deepStrictEqual(merge3(base, both, both).result, both);
+});
+
+test('overlapping changes conflict and keep our side in the result', () => {
+  const base = lines('a\nb\nc');
+  const { result, conflicts } = merge3(base, lines('a\nours\nc'), lines('a\ntheirs\nc'));
+  assert.deepStrictEqual(result, lines('a\nours\nc'));
+  assert.deepStrictEqual(conflicts, [{ baseStart: 1, baseEnd: 2, base: ['b'], ours: ['ours'], theirs: ['theirs'] }]);
+});
+
+test('the sync engine reports conflicts with 1-based lines', () => {
+  const sync = new SyncEngine();
+  assert.deepStrictEqual(sync.merge('x\ny', 'x\ny\nz', 'w\nx\ny'), { content: 'w\nx\ny\nz' });
+  assert.deepStrictEqual(sync.merge('x\ny', 'x\nours', 'x\ntheirs'), {
+    conflicts: [{ baseStart: 2, baseLines: 1, base: 'y', ours: 'ours', theirs: 'theirs' }]
+  });
+});
+
+// Apply hunks from diffSequences to `a`; should always give `b`
+function patch(a, b, hunks) {
+  const out = [];
+  let pos = 0;
+  for (const hunk of hunks) {
+    out.push(...a.slice(pos, hunk.aStart), ...b.slice(hunk.bStart, hunk.bEnd));
+    pos = hunk.aEnd;
+  }
+  return out.concat(a.slice(pos));
+}
+
+test('Myers diff finds a shortest edit script', () => {
+  const a = 'ABCABBA'.split('');
+  const b = 'CBABAC'.split('');
+  const hunks = diffSequences(a, b);
+  assert.deepStrictEqual(patch(a, b, hunks), b);
+
+  // The classic example needs 5 edits
+  const edits = hunks.reduce((sum, h) => sum + (h.aEnd - h.aStart) + (h.bEnd - h.bStart), 0);
+  assert.strictEqual(edits, 5);
+
+  assert.deepStrictEqual(diffSequences(['x'], ['x']), []);
+  assert.deepStrictEqual(diffSequences([], ['x']), [{ aStart: 0, aEnd: 0, bStart: 0, bEnd: 1 }]);
+});
+
+test('diffs of random sequences always reproduce the target', () => {
+  let seed = 7;
+  const next = (n) => (seed = (seed * 1103515245 + 12345) % 2147483648) % n;
+  const sequence = () => Array.from({ length: next(12) }, () => 'abc'[next(3)]);
+  for (let i = 0; i < 300; i++) {
+    const a = sequence();
+    const b = sequence();
+    assert.deepStrictEqual(patch(a, b, diffSequences(a, b)), b);
+  }
+});
+
+test('past maxEdits the middle is reported as one hunk', () => {
+  const a = Array.from({ length: 50 }, (_, i) => `a${i}`);
+  const b = Array.from({ length: 50 }, (_, i) => `b${i}`);
+  assert.deepStrictEqual(diffSequences(['same', ...a, 'end'], ['same', ...b, 'end'], { maxEdits: 10 }), [
+    { aStart: 1, aEnd: 51, bStart: 1, bEnd: 51 }
+  ]);
+  assert.ok(MAX_EDITS > 10);
+});
+
+test('unified hunks carry context and 1-based ranges like diff -u', () => {
+  const a = lines('1\n2\n3\n4\n5\n6\n7\n8\n9\n10');
+  const b = lines('1\n2\nthree\n4\n5\n6\n7\n8\n9\n10\n11');
+  assert.deepStrictEqual(unifiedHunks(a, b, { context: 1 }), [
+    { oldStart: 2, oldLines: 3, newStart: 2, newLines: 3, lines: [' 2', '-3', '+three', ' 4'] },
+    { oldStart: 10, oldLines: 1, newStart: 10, newLines: 2, lines: [' 10', '+11'] }
+  ]);
+  assert.strictEqual(unifiedHunks(a, b, { context: 3 }).length, 2);
+  assert.strictEqual(unifiedHunks(a, b, { context: 4 }).length, 1);
+});
+
+test('word diffs mark the changed words in a line', () => {
+  assert.deepStrictEqual(wordDiff('const total = a + b;', 'const sum = a + b;'), [
+    ['=', 'const '], ['-', 'total'], ['+', 'sum'], ['=', ' = a + b;']
+  ]);
+});
+
+test('createPatch counts lines and attaches word diffs', () => {
+  const patch = new SyncEngine().createPatch('let a = 1;\nkeep\n', 'let a = 2;\nkeep\nmore\n');
+  assert.strictEqual(patch.added, 2);
+  assert.strictEqual(patch.removed, 1);
+  assert.deepStrictEqual(patch.hunks[0].words, [
+    { old: 0, new: 1, segments: [['=', 'let a = '], ['-', '1'], ['+', '2'], ['=', ';']] }
+  ]);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventLog } = require('../server/event-log');
+const MemoryBus = require('../server/memory-bus');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hivemind-log-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('events appended through the bus are replayed on boot', (t) => {
+  const dir = tempDir(t);
+  const log = new EventLog({ dir, fsync: 'always' });
+  const bus = new MemoryBus(log);
+  bus.append({ type: 'note', projectId: 'p1', text: 'first' });
+  bus.append({ type: 'note', projectId: 'p1', text: 'second' });
+  log.close();
+
+  const reopened = new EventLog({ dir, fsync: 'never' });
+  const replayed = new MemoryBus(reopened);
+  t.after(() => reopened.close());
+  assert.deepStrictEqual(replayed.events.map(e => [e.seq, e.text]), [[1, 'first'], [2, 'second']]);
+  assert.strictEqual(replayed.getProjectEvents('p1').length, 2);
+  assert.strictEqual(replayed.append({ type: 'note' }).seq, 3);
+});
+
+test('segments rotate once they reach segmentBytes', (t) => {
+  const dir = tempDir(t);
+  const log = new EventLog({ dir, segmentBytes: 100, fsync: 'never' });
+  for (let i = 0; i < 5; i++) log.append({ id: String(i), padding: 'x'.repeat(40) });
+  log.close();
+
+  assert.ok(log.listSegments().length > 1);
+  assert.deepStrictEqual(log.replay().map(e => e.id), ['0', '1', '2', '3', '4']);
+});
+
+test('a torn final line is skipped', (t) => {
+  const dir = tempDir(t);
+  const log = new EventLog({ dir, fsync: 'never' });
+  log.append({ id: 'a' });
+  log.close();
+  fs.appendFileSync(path.join(dir, 'segment-000001.jsonl'), '{"id":"b"');
+
+  t.mock.method(console, 'error', () => {});
+  assert.deepStrictEqual(log.replay().map(e => e.id), ['a']);
+});
+
+test('compaction replaces the log and an unfinished one is discarded', (t) => {
+  const dir = tempDir(t);
+  const log = new EventLog({ dir, fsync: 'never' });
+  for (const id of ['a', 'b', 'c']) log.append({ id });
+  log.compact([{ id: 'c' }], { lastSeq: 3 });
+  log.append({ id: 'd' });
+  log.close();
+
+  assert.deepStrictEqual(log.replay().map(e => e.id), ['c', 'd']);
+  assert.deepStrictEqual(log.readMeta(), { lastSeq: 3 });
+
+  // A crash before COMPLETE leaves only staging behind
+  fs.mkdirSync(path.join(dir, '.compact'));
+  fs.writeFileSync(path.join(dir, '.compact', 'segment-000001.jsonl'), '{"id":"z"}\n');
+  assert.deepStrictEqual(log.replay().map(e => e.id), ['c', 'd']);
+  assert.strictEqual(fs.existsSync(path.join(dir, '.compact')), false);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { FilePolicy, normalizeFilePath } = require('../server/file-policy');
+const ProjectManager = require('../server/project-manager');
+
+test('paths are canonicalised', () => {
+  assert.deepStrictEqual(normalizeFilePath('src//./app.js'), { path: 'src/app.js' });
+  assert.deepStrictEqual(normalizeFilePath('src\\lib\\util.js'), { path: 'src/lib/util.js' });
+  assert.deepStrictEqual(normalizeFilePath('cafe\u0301.md'), { path: 'caf\u00e9.md' });
+});
+
+test('unsafe paths are rejected with a code', () => {
+  const codes = {
+    '../etc/passwd': 'path_traversal',
+    'src/../../x': 'path_traversal',
+    '/etc/passwd': 'absolute_path',
+    'C:/windows': 'absolute_path',
+    'a\u0000b': 'invalid_path',
+    '': 'invalid_path',
+    './': 'invalid_path',
+    [`${'x'.repeat(256)}.js`]: 'invalid_path'
+  };
+  for (const [input, code] of Object.entries(codes)) {
+    assert.strictEqual(normalizeFilePath(input).error.code, code, JSON.stringify(input));
+  }
+  assert.strictEqual(normalizeFilePath(42).error.code, 'invalid_path');
+});
+
+test('quotas limit file size, file count and project size', () => {
+  const policy = new FilePolicy({
+    defaults: { maxFiles: 2, maxFileBytes: 10, maxTotalBytes: 15 },
+    projects: { roomy: { maxFiles: 10 } }
+  });
+  const project = { id: 'p1', files: { 'a.txt': { content: '12345678' } } };
+
+  assert.strictEqual(policy.check(project, 'b.txt', '12345678901').error.code, 'file_too_large');
+  assert.strictEqual(policy.check(project, 'b.txt', '12345678').error.code, 'project_too_large');
+  assert.strictEqual(policy.check(project, 'a.txt', '1234567890'), null);
+
+  project.files['b.txt'] = { content: '' };
+  assert.strictEqual(policy.check(project, 'c.txt', '').error.code, 'too_many_files');
+  assert.strictEqual(policy.check({ ...project, id: 'roomy' }, 'c.txt', ''), null);
+});
+
+test('file writes go through path and quota checks', () => {
+  const manager = new ProjectManager(undefined, undefined, new FilePolicy({ defaults: { maxFileBytes: 5 } }));
+  const project = manager.createProject('Checked');
+
+  assert.strictEqual(manager.createFile(project.id, './docs//a.md', 'ok', 'agent-1').name, 'docs/a.md');
+  assert.strictEqual(manager.createFile(project.id, 'docs/a.md', 'dup', 'agent-1'), null);
+  assert.strictEqual(manager.createFile(project.id, '../a.md', 'x', 'agent-1').error.code, 'path_traversal');
+  assert.strictEqual(manager.updateFile(project.id, 'docs/a.md', 'too long', 'agent-1').error.code, 'file_too_large');
+  assert.strictEqual(manager.getUsage(project.id).files, 1);
+});
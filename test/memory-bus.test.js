@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MemoryBus = require('../server/memory-bus');
+
+function seededBus() {
+  const bus = new MemoryBus();
+  for (let i = 1; i <= 10; i++) {
+    bus.append({
+      type: i % 2 ? 'file:update' : 'task:create',
+      projectId: i <= 5 ? 'p1' : 'p2',
+      agentId: `agent-${i % 3}`,
+      ts: i * 1000,
+      text: `event ${i}`
+    });
+  }
+  return bus;
+}
+
+test('query filters by project, type, agent, time range and text', () => {
+  const bus = seededBus();
+  const texts = (result) => result.events.map(e => e.text);
+
+  assert.deepStrictEqual(texts(bus.query({ projectId: 'p1', types: ['task:create'] })), ['event 2', 'event 4']);
+  assert.deepStrictEqual(texts(bus.query({ agentId: 'agent-0' })), ['event 3', 'event 6', 'event 9']);
+  assert.deepStrictEqual(texts(bus.query({ since: 4000, until: 6000 })), ['event 4', 'event 5', 'event 6']);
+  assert.deepStrictEqual(texts(bus.query({ text: 'EVENT 10' })), ['event 10']);
+  assert.deepStrictEqual(texts(bus.query({ projectIds: ['p2'], predicate: e => e.ts > 9000 })), ['event 10']);
+});
+
+test('query pages forwards and backwards by cursor, oldest first', () => {
+  const bus = seededBus();
+
+  const latest = bus.query({ limit: 3 });
+  assert.deepStrictEqual(latest.events.map(e => e.seq), [8, 9, 10]);
+  assert.strictEqual(latest.hasMore, true);
+
+  const older = bus.query({ limit: 3, before: latest.cursors.before });
+  assert.deepStrictEqual(older.events.map(e => e.seq), [5, 6, 7]);
+
+  const newer = bus.query({ limit: 3, after: older.cursors.after });
+  assert.deepStrictEqual(newer.events.map(e => e.seq), [8, 9, 10]);
+  assert.strictEqual(newer.hasMore, false);
+});
+
+test('query rejects unknown cursors and mixed directions', () => {
+  const bus = seededBus();
+  const [first] = bus.events;
+  assert.ok(bus.query({ after: 'missing' }).error);
+  assert.ok(bus.query({ after: first.id, before: first.id }).error);
+});
+
+test('subscribers get matching appends until they unsubscribe', () => {
+  const bus = new MemoryBus();
+  const received = [];
+  const unsubscribe = bus.subscribe({ projectIds: ['p1'], types: ['note'] }, event => received.push(event.text));
+
+  bus.append({ type: 'note', projectId: 'p1', text: 'kept' });
+  bus.append({ type: 'note', projectId: 'p2', text: 'other project' });
+  bus.append({ type: 'file:update', projectId: 'p1', text: 'other type' });
+  unsubscribe();
+  bus.append({ type: 'note', projectId: 'p1', text: 'after unsubscribe' });
+
+  assert.deepStrictEqual(received, ['kept']);
+});
+
+test('a failing subscriber does not stop the append or other subscribers', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const bus = new MemoryBus();
+  const received = [];
+  bus.subscribe({}, () => { throw new Error('boom'); });
+  bus.subscribe({}, event => received.push(event.type));
+
+  assert.strictEqual(bus.append({ type: 'note' }).seq, 1);
+  assert.deepStrictEqual(received, ['note']);
+});
+
+test('a resuming subscriber reads the backlog after its last event id', () => {
+  const bus = seededBus();
+  const lastSeen = bus.events[6].id;
+  const backlog = bus.query({ projectIds: ['p2'], after: lastSeen, limit: 500 });
+  assert.deepStrictEqual(backlog.events.map(e => e.seq), [8, 9, 10]);
+  assert.strictEqual(backlog.hasMore, false);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ProjectManager = require('../server/project-manager');
+const SyncEngine = require('../server/sync-engine');
+const MemoryBus = require('../server/memory-bus');
+const { exportProject, importProject, BUNDLE_FORMAT, BUNDLE_VERSION } = require('../server/project-bundle');
+
+function createServices() {
+  return { projectManager: new ProjectManager(), syncEngine: new SyncEngine(), memoryBus: new MemoryBus() };
+}
+
+function sampleBundle() {
+  const services = createServices();
+  const project = services.projectManager.createProject('Bundled');
+  services.projectManager.createFile(project.id, 'a.txt', 'v1', 'agent-1');
+  services.projectManager.updateFile(project.id, 'a.txt', 'v2', 'agent-1');
+  const task = services.projectManager.addTask(project.id, 'Task', 'low');
+  services.syncEngine.setVersion(project.id, 7);
+  services.memoryBus.append({ type: 'task:create', projectId: project.id, task });
+  return { project, task, bundle: JSON.parse(JSON.stringify(exportProject(services, project.id))) };
+}
+
+test('a bundle round-trips files, revisions, tasks, events and sync version', () => {
+  const { project, bundle } = sampleBundle();
+  const target = createServices();
+
+  const result = importProject(target, bundle, { owner: 'agent-2' });
+  assert.strictEqual(result.project.id, project.id);
+  assert.strictEqual(target.projectManager.getProject(project.id).files['a.txt'].content, 'v2');
+  assert.deepStrictEqual(target.projectManager.getRevisions(project.id, 'a.txt').map(r => r.version), [1, 2]);
+  assert.strictEqual(target.projectManager.getRevision(project.id, 'a.txt', 1).content, 'v1');
+  assert.strictEqual(target.syncEngine.getVersion(project.id), 7);
+  assert.strictEqual(target.memoryBus.getProjectEvents(project.id).length, 1);
+  assert.deepStrictEqual(Object.keys(result.project.members), ['agent-2']);
+});
+
+test('remapped imports get fresh ids and keep task references', () => {
+  const { project, task, bundle } = sampleBundle();
+  const target = createServices();
+
+  const { project: imported } = importProject(target, bundle, { remapIds: true });
+  assert.notStrictEqual(imported.id, project.id);
+  assert.notStrictEqual(imported.tasks[0].id, task.id);
+  const [event] = target.memoryBus.getProjectEvents(imported.id);
+  assert.strictEqual(event.task.id, imported.tasks[0].id);
+});
+
+test('importing an existing project id conflicts', () => {
+  const { bundle } = sampleBundle();
+  const target = createServices();
+  importProject(target, bundle);
+  assert.strictEqual(importProject(target, bundle).status, 409);
+});
+
+test('malformed bundles are rejected with 400', () => {
+  const { bundle } = sampleBundle();
+  const target = createServices();
+  const bad = [
+    null,
+    { ...bundle, format: 'other' },
+    { ...bundle, version: BUNDLE_VERSION + 1 },
+    { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, project: { id: 'x', files: [], tasks: [] } },
+    { ...bundle, project: { ...bundle.project, tasks: ['not a task'] } },
+    { ...bundle, events: 'nope' },
+    { ...bundle, revisions: { 'a.txt': 'nope' } },
+    { ...bundle, project: { ...bundle.project, files: { '../escape.txt': { content: 'x' } } } }
+  ];
+  for (const candidate of bad) {
+    assert.strictEqual(importProject(target, candidate).status, 400);
+  }
+  assert.strictEqual(target.projectManager.getProject(bundle.project.id), undefined);
+});
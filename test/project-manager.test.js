@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProjectManager = require('../server/project-manager');
+const { MemoryAdapter, FileSystemAdapter } = require('../server/storage');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'hivemind-test-'));
+}
+
+test('projects, files, tasks and activity survive a restart', (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const before = new ProjectManager(new FileSystemAdapter(dir));
+  const project = before.createProject('Persisted', 'kept on disk');
+  before.createFile(project.id, 'src/app.js', 'one', 'agent-1');
+  before.updateFile(project.id, 'src/app.js', 'two', 'agent-1');
+  const task = before.addTask(project.id, 'Ship it', 'high');
+  before.updateTask(project.id, task.id, { status: 'in-progress', assignedTo: 'agent-1' });
+
+  const after = new ProjectManager(new FileSystemAdapter(dir));
+  const loaded = after.getProject(project.id);
+  assert.strictEqual(loaded.name, 'Persisted');
+  assert.strictEqual(loaded.files['src/app.js'].content, 'two');
+  assert.strictEqual(loaded.files['src/app.js'].version, 2);
+  assert.deepStrictEqual(loaded.tasks.map(t => [t.title, t.status]), [['Ship it', 'in-progress']]);
+  assert.deepStrictEqual(
+    after.getActivity(project.id).map(a => a.type),
+    ['task:update', 'file:update', 'file:create']
+  );
+});
+
+test('the demo project is seeded once', (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const first = new ProjectManager(new FileSystemAdapter(dir));
+  first.createFile('demo-project', 'notes.md', 'kept', 'agent-1');
+
+  const second = new ProjectManager(new FileSystemAdapter(dir));
+  assert.strictEqual(second.getProject('demo-project').files['notes.md'].content, 'kept');
+});
+
+test('activity is stored apart from the project record', (t) => {
+  const storage = new MemoryAdapter();
+  const manager = new ProjectManager(storage);
+  const project = manager.createProject('Busy');
+  manager.createFile(project.id, 'big.txt', 'x'.repeat(1000), 'agent-1');
+
+  const put = t.mock.method(storage, 'put');
+  manager.addActivity(project.id, { type: 'agent:join', agentId: 'agent-2', timestamp: Date.now() });
+  assert.deepStrictEqual(put.mock.calls.map(call => call.arguments[0]), ['project-activity']);
+  assert.strictEqual(storage.get('projects', project.id).activity, undefined);
+
+  // Records saved with inline activity still load it
+  storage.put('projects', 'legacy', { id: 'legacy', name: 'Old', files: {}, tasks: [], activity: [{ type: 'file:create' }] });
+  assert.deepStrictEqual(new ProjectManager(storage).getActivity('legacy'), [{ type: 'file:create' }]);
+});
+
+test('the activity feed is trimmed in blocks and history reaches into the archive', () => {
+  const manager = new ProjectManager();
+  const project = manager.createProject('Chatty');
+  const log = (n) => manager.addActivity(project.id, { type: 'note', n, timestamp: n });
+
+  for (let n = 1; n <= 100; n++) log(n);
+  assert.strictEqual(manager.getActivity(project.id, 100).length, 100);
+
+  // The 101st entry breaks the cap; the feed drops back to 90% of it
+  log(101);
+  const feed = manager.getActivity(project.id, 100);
+  assert.deepStrictEqual([feed.length, feed[0].n, feed[89].n], [90, 101, 12]);
+  for (let n = 102; n <= 110; n++) log(n);
+  assert.strictEqual(manager.getActivity(project.id, 100).length, 99);
+
+  const history = manager.getActivityHistory(project.id, { limit: 100 });
+  assert.deepStrictEqual(history.map(a => a.n), Array.from({ length: 100 }, (_, i) => 110 - i));
+});
+
+test('a failed revision write is logged and the edit still lands', (t) => {
+  const storage = new MemoryAdapter();
+  const manager = new ProjectManager(storage);
+  const project = manager.createProject('Flaky');
+  const error = t.mock.method(console, 'error', () => {});
+  t.mock.method(storage, 'transaction', () => { throw new Error('disk full'); });
+
+  const file = manager.createFile(project.id, 'a.txt', 'kept', 'agent-1');
+  assert.strictEqual(file.content, 'kept');
+  assert.strictEqual(storage.get('projects', project.id).files['a.txt'].content, 'kept');
+  assert.match(error.mock.calls[0].arguments[0], /Failed to record revision 1 of a\.txt.*disk full/);
+});
+
+test('revisions can be listed, fetched and reverted to', () => {
+  const manager = new ProjectManager();
+  const project = manager.createProject('History');
+  manager.createFile(project.id, 'a.txt', 'one', 'agent-1');
+  manager.updateFile(project.id, 'a.txt', 'two', 'agent-2');
+
+  assert.deepStrictEqual(
+    manager.getRevisions(project.id, 'a.txt').map(r => [r.version, r.author, r.content]),
+    [[1, 'agent-1', undefined], [2, 'agent-2', undefined]]
+  );
+  assert.strictEqual(manager.getRevision(project.id, 'a.txt', 1).content, 'one');
+  assert.strictEqual(manager.getRevision(project.id, 'a.txt', 9), null);
+
+  const reverted = manager.revertFile(project.id, 'a.txt', 1, 'agent-3');
+  assert.strictEqual(reverted.content, 'one');
+  assert.strictEqual(reverted.version, 3);
+  assert.strictEqual(manager.getActivity(project.id)[0].type, 'file:revert');
+});
+
+test('only the newest maxRevisions revisions are kept', () => {
+  const manager = new ProjectManager(undefined, undefined, undefined, { maxRevisions: 3 });
+  const project = manager.createProject('Pruned');
+  manager.createFile(project.id, 'a.txt', 'v1', 'agent-1', { syncVersion: 1 });
+  for (let v = 2; v <= 5; v++) manager.updateFile(project.id, 'a.txt', `v${v}`, 'agent-1', { syncVersion: v });
+
+  assert.deepStrictEqual(manager.getRevisions(project.id, 'a.txt').map(r => r.version), [3, 4, 5]);
+  assert.strictEqual(manager.getRevision(project.id, 'a.txt', 1), null);
+  assert.strictEqual(manager.storage.get('file-revisions', manager.revisionKey(project.id, 'a.txt', 1)), undefined);
+  assert.strictEqual(manager.getRevisionAt(project.id, 'a.txt', 4).content, 'v4');
+  assert.strictEqual(manager.getRevisionAt(project.id, 'a.txt', 1).error.code, 'stale_base');
+});
+
+test('private projects grant only the permissions members hold', () => {
+  const manager = new ProjectManager();
+  const project = manager.createProject('Secret', '', 'private');
+  manager.addMember(project.id, 'reader', ['read']);
+  manager.addMember(project.id, 'writer', ['read', 'write', 'write']);
+
+  assert.ok(manager.can(project.id, 'reader', 'read'));
+  assert.ok(!manager.can(project.id, 'reader', 'write'));
+  assert.ok(manager.can(project.id, 'writer', 'write'));
+  assert.ok(!manager.can(project.id, 'stranger', 'read'));
+  assert.deepStrictEqual(manager.getMembers(project.id).find(m => m.agentId === 'writer').permissions, ['read', 'write']);
+  assert.ok(manager.addMember(project.id, 'x', ['delete']).error);
+
+  manager.removeMember(project.id, 'reader');
+  assert.ok(!manager.can(project.id, 'reader', 'read'));
+
+  manager.setVisibility(project.id, 'public');
+  assert.ok(manager.can(project.id, 'stranger', 'write'));
+  assert.ok(!manager.can('missing', 'writer', 'read'));
+});
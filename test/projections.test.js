@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MemoryBus = require('../server/memory-bus');
+const { MemoryAdapter } = require('../server/storage');
+const { ProjectionEngine, registerDefaultProjections } = require('../server/projections');
+
+const counter = (version = 1) => ({
+  version,
+  initialState: () => ({ count: 0 }),
+  reducers: { tick: (state) => ({ count: state.count + 1 }) }
+});
+
+test('open-tasks follows tasks from creation to completion', () => {
+  const bus = new MemoryBus();
+  const engine = registerDefaultProjections(new ProjectionEngine(bus));
+
+  bus.append({ type: 'task:create', projectId: 'p1', task: { id: 't1', title: 'One', priority: 'high', status: 'pending' } });
+  bus.append({ type: 'task:create', projectId: 'p2', task: { id: 't2', title: 'Two', priority: 'low', status: 'pending' } });
+  bus.append({ type: 'task:claim', projectId: 'p1', taskId: 't1', agentId: 'agent-1', task: { title: 'One', priority: 'high' } });
+
+  const open = engine.get('open-tasks').state;
+  assert.strictEqual(open.p1.t1.status, 'in-progress');
+  assert.strictEqual(open.p1.t1.assignedTo, 'agent-1');
+
+  bus.append({ type: 'task:complete', projectId: 'p1', taskId: 't1' });
+  assert.deepStrictEqual(engine.get('open-tasks', 'p1').state, {});
+  assert.deepStrictEqual(Object.keys(engine.get('open-tasks', null, id => id === 'p1').state), ['p1']);
+});
+
+test('a restart replays only the events after the snapshot', () => {
+  const bus = new MemoryBus();
+  const storage = new MemoryAdapter();
+  const engine = new ProjectionEngine(bus, storage);
+  engine.register('ticks', counter());
+  bus.append({ type: 'tick' });
+  bus.append({ type: 'tick' });
+  engine.snapshot();
+  bus.append({ type: 'tick' });
+
+  // Tamper with the snapshot to show it is used rather than rebuilt
+  const snapshot = storage.get('projection-snapshots', 'ticks');
+  storage.put('projection-snapshots', 'ticks', { ...snapshot, state: { count: 100 } });
+
+  const restored = new ProjectionEngine(bus, storage);
+  restored.register('ticks', counter());
+  assert.strictEqual(restored.get('ticks').state.count, 101);
+});
+
+test('bumping a projection version discards its snapshot', () => {
+  const bus = new MemoryBus();
+  const storage = new MemoryAdapter();
+  const engine = new ProjectionEngine(bus, storage);
+  engine.register('ticks', counter(1));
+  bus.append({ type: 'tick' });
+  engine.snapshot();
+  storage.put('projection-snapshots', 'ticks', { ...storage.get('projection-snapshots', 'ticks'), state: { count: 100 } });
+
+  const rebuilt = new ProjectionEngine(bus, storage);
+  rebuilt.register('ticks', counter(2));
+  assert.strictEqual(rebuilt.get('ticks').state.count, 1);
+});
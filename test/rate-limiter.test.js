@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter } = require('../server/rate-limiter');
+
+const config = {
+  events: { ping: { capacity: 2, refillPerSec: 1 } },
+  agents: { vip: { ping: { capacity: 5, refillPerSec: 1 } } },
+  penalties: { windowMs: 60000, muteAfter: 2, muteMs: 10000, disconnectAfter: 2, idleMs: 120000 }
+};
+
+test('buckets allow up to capacity and refill over time', () => {
+  const limiter = new RateLimiter(config);
+  assert.ok(limiter.consume('a', 'ping', 0).allowed);
+  assert.ok(limiter.consume('a', 'ping', 0).allowed);
+
+  const denied = limiter.consume('a', 'ping', 0);
+  assert.strictEqual(denied.allowed, false);
+  assert.strictEqual(denied.action, 'warn');
+  assert.strictEqual(denied.retryAfterMs, 1000);
+
+  assert.ok(limiter.consume('a', 'ping', 1000).allowed);
+  assert.ok(limiter.consume('a', 'unlimited', 0).allowed);
+});
+
+test('per-agent quotas replace the event default', () => {
+  const limiter = new RateLimiter(config);
+  for (let i = 0; i < 5; i++) assert.ok(limiter.consume('vip', 'ping', 0).allowed);
+  assert.strictEqual(limiter.consume('vip', 'ping', 0).allowed, false);
+});
+
+test('violations escalate from warning to mute to disconnect', () => {
+  const limiter = new RateLimiter(config);
+  limiter.consume('a', 'ping', 0);
+  limiter.consume('a', 'ping', 0);
+
+  assert.strictEqual(limiter.consume('a', 'ping', 0).action, 'warn');
+  const muted = limiter.consume('a', 'ping', 0);
+  assert.strictEqual(muted.action, 'mute');
+  assert.strictEqual(muted.mutedUntil, 10000);
+  assert.strictEqual(limiter.consume('a', 'ping', 5000).action, 'muted');
+
+  // The bucket refilled during the mute; drain it again
+  limiter.consume('a', 'ping', 10000);
+  limiter.consume('a', 'ping', 10000);
+  assert.strictEqual(limiter.consume('a', 'ping', 10000).action, 'warn');
+  assert.strictEqual(limiter.consume('a', 'ping', 10000).action, 'disconnect');
+
+  const stats = limiter.getStats('a', 10000);
+  assert.deepStrictEqual(
+    [stats.warnings, stats.mutes, stats.disconnects, stats.muted],
+    [2, 1, 1, false]
+  );
+});
+
+test('reset lifts a mute', () => {
+  const limiter = new RateLimiter(config);
+  for (let i = 0; i < 4; i++) limiter.consume('a', 'ping', 0);
+  assert.ok(limiter.getStats('a', 0).muted);
+  limiter.reset('a');
+  assert.ok(limiter.consume('a', 'ping', 0).allowed);
+});
+
+test('idle subjects are pruned unless muted, and forget drops one at once', () => {
+  const limiter = new RateLimiter({ ...config, penalties: { ...config.penalties, muteMs: 500000 } });
+  limiter.consume('idle', 'ping', 0);
+  for (let i = 0; i < 4; i++) limiter.consume('muted', 'ping', 0);
+  limiter.consume('gone', 'ping', 100000);
+  limiter.forget('gone');
+
+  limiter.prune(200000);
+  assert.deepStrictEqual(Array.from(limiter.subjects.keys()), ['muted']);
+  assert.strictEqual(limiter.getStats('idle'), null);
+});
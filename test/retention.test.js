@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MemoryBus = require('../server/memory-bus');
+const { MemoryAdapter } = require('../server/storage');
+const { ProjectionEngine } = require('../server/projections');
+const { RetentionManager, applyRule } = require('../server/retention');
+
+const records = (count, ts = (i) => i) => Array.from({ length: count }, (_, i) => ({ n: i, timestamp: ts(i) }));
+
+test('applyRule expires the oldest records past maxCount, maxAgeMs and maxBytes', () => {
+  const byCount = applyRule(records(5), { maxCount: 3 }, 'timestamp');
+  assert.deepStrictEqual(byCount.kept.map(r => r.n), [2, 3, 4]);
+  assert.deepStrictEqual(byCount.expired.map(r => r.n), [0, 1]);
+
+  const byAge = applyRule(records(5, i => i * 100), { maxAgeMs: 250 }, 'timestamp', 500);
+  assert.deepStrictEqual(byAge.kept.map(r => r.n), [3, 4]);
+
+  const size = Buffer.byteLength(JSON.stringify({ n: 0, timestamp: 0 }));
+  const byBytes = applyRule(records(5), { maxBytes: size * 2 }, 'timestamp');
+  assert.deepStrictEqual(byBytes.kept.map(r => r.n), [3, 4]);
+});
+
+test('a broken limit trims down to trimTo so archiving happens in blocks', () => {
+  const { kept } = applyRule(records(101), { maxCount: 100 }, 'timestamp', 0, undefined, { trimTo: 0.9 });
+  assert.strictEqual(kept.length, 90);
+  assert.strictEqual(applyRule(records(100), { maxCount: 100 }, 'timestamp', 0, undefined, { trimTo: 0.9 }).kept.length, 100);
+});
+
+test('enforce archives what it trims and project rules override defaults', () => {
+  const retention = new RetentionManager(new MemoryAdapter(), {
+    defaults: { activity: { maxCount: 10 } },
+    projects: { small: { activity: { maxCount: 2 } } }
+  });
+
+  assert.strictEqual(retention.enforce('activity', 'big', records(10)).length, 10);
+  // Over the limit, the stream drops to TRIM_TO of it: one record of two
+  const kept = retention.enforce('activity', 'small', records(5));
+  assert.deepStrictEqual(kept.map(r => r.n), [4]);
+  assert.deepStrictEqual(retention.archive.read('activity', 'small').map(r => r.n), [0, 1, 2, 3]);
+});
+
+test('compacting the bus archives expired events and keeps sequence numbers', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const bus = new MemoryBus();
+  for (let i = 0; i < 5; i++) bus.append({ type: 'note', projectId: 'p1', ts: i * 1000 });
+  const compactedId = bus.events[1].id;
+
+  const retention = new RetentionManager(new MemoryAdapter(), { defaults: { memory: { maxAgeMs: 2500 } } });
+  let snapshotted = false;
+  const result = retention.compactMemory(bus, { now: 5000, beforeCompact: () => { snapshotted = true; } });
+
+  assert.deepStrictEqual(result, { archived: 3 });
+  assert.ok(snapshotted);
+  assert.deepStrictEqual(bus.events.map(e => e.seq), [4, 5]);
+  assert.deepStrictEqual(retention.readMemoryArchive({ projectId: 'p1' }).map(e => e.seq), [1, 2, 3]);
+
+  // A cursor on a compacted event resumes after it
+  assert.deepStrictEqual(bus.query({ after: compactedId }).events.map(e => e.seq), [4, 5]);
+  assert.strictEqual(bus.append({ type: 'note' }).seq, 6);
+});
+
+test('a projection snapshot taken before compaction resumes by sequence number', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const bus = new MemoryBus();
+  const storage = new MemoryAdapter();
+  const definition = { initialState: () => ({ count: 0 }), reducers: { tick: (state) => ({ count: state.count + 1 }) } };
+  const engine = new ProjectionEngine(bus, storage);
+  engine.register('ticks', definition);
+  for (let i = 0; i < 4; i++) bus.append({ type: 'tick', ts: i * 1000 });
+
+  new RetentionManager(storage, { defaults: { memory: { maxCount: 1 } } })
+    .compactMemory(bus, { beforeCompact: () => engine.snapshot() });
+  bus.append({ type: 'tick', ts: 5000 });
+
+  const restored = new ProjectionEngine(bus, storage);
+  restored.register('ticks', definition);
+  assert.strictEqual(restored.get('ticks').state.count, 5);
+});
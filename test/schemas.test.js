@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { REST_SCHEMAS, validate, validateEvent } = require('../sdk/lib/schemas');
+
+test('valid agent actions pass', () => {
+  assert.strictEqual(validateEvent('agent:action', { type: 'file:create', filePath: 'a.js', content: '' }), null);
+  assert.strictEqual(validateEvent('agent:action', {
+    type: 'file:edit',
+    filePath: 'a.js',
+    ops: [{ type: 'insert', position: 0, text: 'x' }, { type: 'delete', position: 2, length: 1 }],
+    baseVersion: 3
+  }), null);
+  assert.strictEqual(validateEvent('agent:heartbeat', undefined), null);
+  assert.strictEqual(validateEvent('not:a:known:event', 42), null);
+});
+
+test('errors name the first bad field and the rule it broke', () => {
+  const cases = [
+    [{ type: 'file:delete', filePath: 'a.js' }, 'type', 'enum'],
+    [{ type: 'file:create', content: '' }, 'filePath', 'required'],
+    [{ type: 'file:create', filePath: '', content: '' }, 'filePath', 'minLength'],
+    [{ type: 'file:edit', filePath: 'a.js' }, 'content', 'oneOf'],
+    [{ type: 'file:edit', filePath: 'a.js', content: 'x', ops: [] }, 'content', 'oneOf'],
+    [{ type: 'file:edit', filePath: 'a.js', ops: [{ type: 'insert', position: 0, text: 'x' }] }, 'baseVersion', 'required'],
+    [{ type: 'file:edit', filePath: 'a.js', ops: [{ type: 'delete', position: -1, length: 1 }], baseVersion: 0 }, 'ops[0].position', 'minimum'],
+    [{ type: 'file:revert', filePath: 'a.js', version: 1.5 }, 'version', 'type']
+  ];
+  for (const [payload, path, reason] of cases) {
+    const error = validateEvent('agent:action', payload);
+    assert.deepStrictEqual([error.code, error.path, error.reason], ['invalid_payload', path, reason], JSON.stringify(payload));
+  }
+  assert.strictEqual(validateEvent('agent:cursor', null).path, '');
+});
+
+test('REST bodies are checked, including unknown fields where closed', () => {
+  const schema = REST_SCHEMAS['POST /api/projects'];
+  assert.strictEqual(validate(schema, { name: 'Hive', visibility: 'private' }), null);
+  assert.strictEqual(validate(schema, { name: 'Hive', visibility: 'secret' }).reason, 'enum');
+
+  const closed = { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false };
+  assert.strictEqual(validate(closed, { a: 'x' }), null);
+  assert.strictEqual(validate(closed, { a: 'x', b: 1 }).path, 'b');
+});
+
+test('stored and broadcast event payloads reject unknown fields', () => {
+  const cases = [
+    ['agent:action', { type: 'task:claim', taskId: 't1', assignee: 'agent-9' }, 'assignee'],
+    ['agent:action', { type: 'file:edit', filePath: 'a.js', ops: [{ type: 'insert', position: 0, text: 'x', by: 'me' }], baseVersion: 0 }, 'ops[0].by'],
+    ['agent:cursor', { filePath: 'a.js', line: 1, color: 'red' }, 'color'],
+    ['agent:cursor', { filePath: 'a.js', line: 1, selection: { ranges: [{ start: { line: 0, x: 1 }, end: { line: 1 } }] } }, 'selection.ranges[0].start.x'],
+    ['agent:status', { status: 'idle', agentId: 'agent-0' }, 'agentId'],
+    ['observatory:broadcast', { message: 'hi', from: 'admin' }, 'from']
+  ];
+  for (const [event, payload, path] of cases) {
+    const error = validateEvent(event, payload);
+    assert.deepStrictEqual([error.path, error.reason], [path, 'unknown'], `${event} ${JSON.stringify(payload)}`);
+  }
+  assert.strictEqual(validateEvent('agent:cursor', {
+    filePath: 'a.js', line: 1, column: 2, selection: { ranges: [{ start: { line: 0, column: 0 }, end: { line: 1, column: 2 } }] }
+  }), null);
+});
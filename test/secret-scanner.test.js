@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SecretScanner } = require('../server/secret-scanner');
+const { replaceOps, applyOps } = require('../sdk/lib/text-ops');
+
+// Assembled at runtime so the fixtures do not look like live keys in the repo
+const AWS_KEY = ['AKIA', 'IOSFODNN7EXAMPLE'].join('');
+const GITHUB_TOKEN = ['ghp', '_', 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8'].join('');
+const RANDOM_KEY = 'q8Zt3Lm9Xv2Rk7Pw4Yn6Bc1Hd5Jf0Gs';
+
+test('known key formats are found with a masked preview and line', () => {
+  const scanner = new SecretScanner();
+  const findings = scanner.scan(`const a = 1;\nconst key = "${AWS_KEY}";\nconst gh = '${GITHUB_TOKEN}';`);
+
+  assert.deepStrictEqual(findings.map(f => [f.rule, f.line]), [['aws-access-key', 2], ['github-token', 3]]);
+  assert.ok(findings.every(f => !JSON.stringify(f).includes(AWS_KEY) && !JSON.stringify(f).includes(GITHUB_TOKEN)));
+  assert.strictEqual(findings[0].preview, 'AKIA************');
+});
+
+test('assignments mark only the quoted value, and entropy catches unprefixed keys', () => {
+  const scanner = new SecretScanner();
+  const [assignment] = scanner.scan('password = "hunter2hunter2"');
+  assert.strictEqual(assignment.rule, 'credential-assignment');
+  assert.strictEqual('password = "hunter2hunter2"'.slice(assignment.start, assignment.end), 'hunter2hunter2');
+
+  assert.deepStrictEqual(scanner.scan(`token ${RANDOM_KEY}`).map(f => f.rule), ['high-entropy']);
+  assert.deepStrictEqual(scanner.scan('see https://example.com/some-long-article-slug-2024/part-one'), []);
+  assert.deepStrictEqual(new SecretScanner({ entropy: { enabled: false } }).scan(RANDOM_KEY), []);
+});
+
+test('files full of hits keep every finding on its own line', () => {
+  const scanner = new SecretScanner();
+  const lines = Array.from({ length: 5000 }, (_, i) => (i % 2 ? `token = "${AWS_KEY}" // ${RANDOM_KEY}` : `// line ${i}`));
+  const findings = scanner.scan(lines.join('\n'));
+
+  assert.strictEqual(findings.length, 5000);
+  assert.deepStrictEqual(findings.slice(0, 4).map(f => [f.rule, f.line]), [
+    ['aws-access-key', 2], ['high-entropy', 2], ['aws-access-key', 4], ['high-entropy', 4]
+  ]);
+  assert.deepStrictEqual(findings.slice(-1).map(f => [f.rule, f.line]), [['high-entropy', 5000]]);
+  assert.ok(findings.every((f, i) => i === 0 || f.start >= findings[i - 1].end));
+});
+
+test('modes block, redact or pass the text through', () => {
+  const scanner = new SecretScanner();
+  const text = `key=${AWS_KEY} ok`;
+
+  assert.strictEqual(scanner.inspect(text, 'block').blocked, true);
+  assert.strictEqual(scanner.inspect(text, 'redact').text, 'key=[REDACTED:aws-access-key] ok');
+  assert.strictEqual(scanner.inspect(text, 'warn').text, text);
+  assert.deepStrictEqual(scanner.inspect('nothing here', 'block'), { findings: [], mode: 'block', blocked: false, text: 'nothing here' });
+});
+
+test('rules can be disabled and projects pick their own mode', () => {
+  const scanner = new SecretScanner({ mode: 'redact', rules: { 'aws-access-key': null } });
+  assert.deepStrictEqual(scanner.scan(AWS_KEY), []);
+  assert.strictEqual(scanner.modeFor({ secretMode: 'block' }), 'block');
+  assert.strictEqual(scanner.modeFor({}), 'redact');
+  assert.throws(() => new SecretScanner({ mode: 'ignore' }));
+});
+
+test('a redacted edit becomes ops that produce the redacted text', () => {
+  const scanner = new SecretScanner();
+  const current = 'const key = "";\n';
+  const edited = `const key = "${AWS_KEY}";\n`;
+  const { text } = scanner.inspect(edited, 'redact');
+
+  assert.strictEqual(applyOps(current, replaceOps(current, text)).content, 'const key = "[REDACTED:aws-access-key]";\n');
+});
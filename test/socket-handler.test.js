@@ -0,0 +1,328 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createServer } = require('http');
+const { Server } = require('socket.io');
+const ioClient = require('socket.io-client');
+const SocketHandler = require('../server/socket-handler');
+const AgentManager = require('../server/agent-manager');
+const ProjectManager = require('../server/project-manager');
+const SyncEngine = require('../server/sync-engine');
+const MemoryBus = require('../server/memory-bus');
+const TaskEngine = require('../server/task-engine');
+const AuthManager = require('../server/auth-manager');
+const { MemoryAdapter } = require('../server/storage');
+const { RetentionManager } = require('../server/retention');
+const { ProjectionEngine } = require('../server/projections');
+const { RateLimiter } = require('../server/rate-limiter');
+const { AuditLog } = require('../server/audit-log');
+const { SecretScanner } = require('../server/secret-scanner');
+const { ApprovalGates } = require('../server/approval-gates');
+
+const ADMIN_TOKEN = 'admin-token';
+
+// A server wired like server/index.js, on a free port, closed after the test
+async function startServer(t, { gates = [], auth = {}, rateLimits = {} } = {}) {
+  t.mock.method(console, 'log', () => {});
+  const storage = new MemoryAdapter();
+  const heartbeat = t.mock.method(global, 'setInterval', () => 0);
+  const agentManager = new AgentManager(storage);
+  heartbeat.mock.restore();
+
+  const retention = new RetentionManager(storage);
+  const projectManager = new ProjectManager(storage, retention);
+  const syncEngine = new SyncEngine(storage, retention);
+  const memoryBus = new MemoryBus();
+  const authManager = new AuthManager(storage, { mode: 'off', adminToken: ADMIN_TOKEN, ...auth });
+  const auditLog = new AuditLog(storage);
+  const approvalGates = new ApprovalGates(storage, { gates });
+
+  const httpServer = createServer();
+  const io = new Server(httpServer);
+  const handler = new SocketHandler(
+    io, agentManager, projectManager, syncEngine, memoryBus, new TaskEngine(storage),
+    new ProjectionEngine(memoryBus, storage), authManager, new RateLimiter(rateLimits),
+    auditLog, new SecretScanner(), approvalGates
+  );
+  handler.initialize();
+  await new Promise(resolve => httpServer.listen(0, resolve));
+
+  const url = `http://localhost:${httpServer.address().port}`;
+  const clients = [];
+  const connect = (handshake) => {
+    const client = ioClient(url, { auth: handshake, transports: ['websocket'], reconnection: false, forceNew: true });
+    clients.push(client);
+    return client;
+  };
+  t.after(() => {
+    clients.forEach(client => client.close());
+    io.close();
+  });
+
+  return { handler, connect, agentManager, projectManager, syncEngine, memoryBus, authManager, auditLog, approvalGates };
+}
+
+const once = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+// Resolves once `check` holds; server-side effects of a disconnect land a tick later
+async function until(check) {
+  while (!check()) await new Promise(resolve => setTimeout(resolve, 5));
+}
+
+// Connect an agent and join it to a project
+async function joinAgent(connect, agentId, projectId = 'demo-project', handshake = {}) {
+  const client = connect({ agentId, name: agentId, ...handshake });
+  await once(client, 'agent:registered');
+  const state = once(client, 'project:state');
+  client.emit('agent:join', { projectId });
+  await state;
+  return client;
+}
+
+async function connectOperator(connect) {
+  const client = connect({ type: 'observatory', token: ADMIN_TOKEN });
+  await once(client, 'observatory:init');
+  return client;
+}
+
+const CLAIM_GATE = [{ name: 'claims', actions: ['task:claim'] }];
+
+test('gated actions are held and applied once an operator approves them', async (t) => {
+  const server = await startServer(t, { gates: CLAIM_GATE });
+  const task = server.projectManager.addTask('demo-project', 'Ship it', 'high');
+  const operator = await connectOperator(server.connect);
+  const agent = await joinAgent(server.connect, 'agent-a');
+
+  const proposed = once(operator, 'observatory:proposal');
+  const pending = once(agent, 'action:pending');
+  agent.emit('agent:action', { type: 'task:claim', taskId: task.id });
+  const { proposalId, gate } = await pending;
+  assert.strictEqual(gate, 'claims');
+  assert.strictEqual((await proposed).id, proposalId);
+  assert.strictEqual(server.projectManager.getProject('demo-project').tasks.find(t => t.id === task.id).assignedTo, null);
+
+  const decided = once(agent, 'action:decided');
+  operator.emit('observatory:decide-proposal', { proposalId, decision: 'approve', reason: 'fine' });
+  const outcome = await decided;
+  assert.deepStrictEqual([outcome.status, outcome.decidedBy, outcome.reason], ['approved', 'observatory', 'fine']);
+  assert.strictEqual(outcome.result.task.assignedTo, 'agent-a');
+  assert.strictEqual(server.approvalGates.get(proposalId).status, 'approved');
+});
+
+test('actions approved after their agent went offline are applied and audited', async (t) => {
+  const server = await startServer(t, { gates: CLAIM_GATE });
+  const task = server.projectManager.addTask('demo-project', 'Take over', 'high');
+  server.projectManager.updateTask('demo-project', task.id, { status: 'in-progress', assignedTo: 'agent-b' });
+  const agent = await joinAgent(server.connect, 'agent-a');
+
+  const pending = once(agent, 'action:pending');
+  agent.emit('agent:action', { type: 'task:claim', taskId: task.id });
+  const { proposalId } = await pending;
+  agent.close();
+  await until(() => !server.agentManager.getAgentById('agent-a'));
+
+  const proposal = server.handler.decideProposal(proposalId, true, { id: 'op-1' });
+  assert.strictEqual(proposal.status, 'approved');
+  assert.strictEqual(proposal.result.task.assignedTo, 'agent-a');
+
+  const [entry] = server.auditLog.query({ action: 'task:reassign' }).entries;
+  assert.strictEqual(entry.actor.id, 'agent-a');
+  assert.deepStrictEqual(entry.target, { projectId: 'demo-project', taskId: task.id, from: 'agent-b', to: 'agent-a' });
+});
+
+test('rejected proposals are not applied', async (t) => {
+  const server = await startServer(t, { gates: CLAIM_GATE });
+  const task = server.projectManager.addTask('demo-project', 'Hold on', 'low');
+  const operator = await connectOperator(server.connect);
+  const agent = await joinAgent(server.connect, 'agent-a');
+
+  const pending = once(agent, 'action:pending');
+  agent.emit('agent:action', { type: 'task:claim', taskId: task.id });
+  const { proposalId } = await pending;
+
+  const decided = once(agent, 'action:decided');
+  const broadcast = once(operator, 'observatory:proposal-decided');
+  operator.emit('observatory:decide-proposal', { proposalId, decision: 'reject', reason: 'not yet' });
+  const outcome = await decided;
+  assert.deepStrictEqual([outcome.status, outcome.reason, outcome.result], ['rejected', 'not yet', null]);
+  assert.strictEqual((await broadcast).status, 'rejected');
+  assert.strictEqual(server.projectManager.getProject('demo-project').tasks.find(t => t.id === task.id).assignedTo, null);
+
+  const again = once(operator, 'error');
+  operator.emit('observatory:decide-proposal', { proposalId, decision: 'approve' });
+  assert.strictEqual((await again).code, 'already_decided');
+});
+
+test('approved proposals settle as failed when the agent lost access', async (t) => {
+  const server = await startServer(t, { gates: CLAIM_GATE });
+  const task = server.projectManager.addTask('demo-project', 'Locked out', 'low');
+  const agent = await joinAgent(server.connect, 'agent-a');
+
+  const pending = once(agent, 'action:pending');
+  agent.emit('agent:action', { type: 'task:claim', taskId: task.id });
+  const { proposalId } = await pending;
+  server.projectManager.setVisibility('demo-project', 'private');
+
+  const decided = once(agent, 'action:decided');
+  const proposal = server.handler.decideProposal(proposalId, true, { id: 'op-1' });
+  assert.strictEqual(proposal.status, 'failed');
+  const outcome = await decided;
+  assert.deepStrictEqual([outcome.status, outcome.error.code], ['failed', 'forbidden']);
+  assert.deepStrictEqual(server.approvalGates.list({ status: 'failed' }).map(p => p.id), [proposalId]);
+});
+
+test('agents need a key unless auth is turned off', async (t) => {
+  const server = await startServer(t, { auth: { mode: undefined } });
+  const rejected = server.connect({ agentId: 'agent-a' });
+  assert.strictEqual((await once(rejected, 'connect_error')).data.code, 'auth_required');
+
+  const { token } = server.authManager.issue({ agentId: 'agent-a' });
+  const agent = server.connect({ agentId: 'agent-a', token });
+  assert.strictEqual((await once(agent, 'agent:registered')).agentId, 'agent-a');
+});
+
+test('privileged events need the operator role', async (t) => {
+  const server = await startServer(t);
+  const viewer = server.connect({ type: 'observatory' });
+  assert.strictEqual((await once(viewer, 'observatory:init')).role, 'viewer');
+
+  const denied = once(viewer, 'error');
+  viewer.emit('observatory:broadcast', { message: 'hello hive' });
+  assert.deepStrictEqual(await denied, {
+    code: 'forbidden',
+    message: 'observatory:broadcast requires the operator role',
+    event: 'observatory:broadcast',
+    role: 'viewer'
+  });
+
+  const operator = await connectOperator(server.connect);
+  const broadcast = once(viewer, 'broadcast');
+  operator.emit('observatory:broadcast', { message: 'hello hive' });
+  assert.strictEqual((await broadcast).message, 'hello hive');
+});
+
+test('private projects check membership on join and on each action', async (t) => {
+  const server = await startServer(t);
+  const project = server.projectManager.createProject('Vault', '', 'private');
+  server.projectManager.addMember(project.id, 'reader', ['read']);
+
+  const outsider = server.connect({ agentId: 'outsider' });
+  await once(outsider, 'agent:registered');
+  const refused = once(outsider, 'error');
+  outsider.emit('agent:join', { projectId: project.id });
+  assert.deepStrictEqual(await refused, {
+    code: 'forbidden',
+    message: `agent:join requires the read permission on project ${project.id}`,
+    event: 'agent:join',
+    projectId: project.id,
+    permission: 'read'
+  });
+  assert.strictEqual(server.agentManager.getAgentById('outsider').currentProject, null);
+
+  const reader = await joinAgent(server.connect, 'reader', project.id);
+  const denied = once(reader, 'error');
+  reader.emit('agent:action', { type: 'file:create', filePath: 'notes.md', content: 'hi' });
+  assert.strictEqual((await denied).permission, 'write');
+  assert.deepStrictEqual(server.projectManager.getProject(project.id).files, {});
+
+  server.projectManager.addMember(project.id, 'reader', ['read', 'write']);
+  reader.emit('agent:action', { type: 'file:create', filePath: 'notes.md', content: 'hi' });
+  await until(() => server.projectManager.getProject(project.id).files['notes.md']);
+});
+
+test('agents rejoining with lastVersion get only the operations they missed', async (t) => {
+  const server = await startServer(t);
+  const agent = server.connect({ agentId: 'agent-a' });
+  await once(agent, 'agent:registered');
+  const state = once(agent, 'project:state');
+  agent.emit('agent:join', { projectId: 'demo-project' });
+  const { version } = await state;
+
+  const editor = await joinAgent(server.connect, 'agent-b');
+  const update = once(agent, 'project:update');
+  editor.emit('agent:action', { type: 'file:create', filePath: 'docs/notes.md', content: 'missed' });
+  await update;
+  agent.emit('agent:leave');
+
+  const delta = once(agent, 'project:delta');
+  agent.emit('agent:join', { projectId: 'demo-project', lastVersion: version });
+  const { baseVersion, version: latest, operations } = await delta;
+  assert.deepStrictEqual([baseVersion, latest], [version, version + 1]);
+  assert.deepStrictEqual(operations.map(op => [op.type, op.filePath, op.content]), [['file:create', 'docs/notes.md', 'missed']]);
+
+  // A version the server never reached gets the full state instead
+  const full = once(agent, 'project:state');
+  agent.emit('agent:join', { projectId: 'demo-project', lastVersion: latest + 5 });
+  assert.strictEqual((await full).files['docs/notes.md'].content, 'missed');
+});
+
+test('cursors below an edit move with the lines inserted above them', async (t) => {
+  const server = await startServer(t);
+  server.handler.startCursorSnapshots(60000);
+  t.after(() => server.handler.stopCursorSnapshots());
+  const watcher = await joinAgent(server.connect, 'watcher');
+  const editor = await joinAgent(server.connect, 'editor');
+
+  watcher.emit('agent:cursor', { filePath: 'README.md', line: 2, column: 3 });
+  await until(() => server.syncEngine.getCursors('demo-project').watcher);
+
+  const readme = server.projectManager.getProject('demo-project').files['README.md'].content;
+  const update = once(watcher, 'project:update');
+  editor.emit('agent:action', { type: 'file:edit', filePath: 'README.md', content: `Intro\n\n${readme}` });
+  await update;
+
+  const snapshot = once(watcher, 'project:cursors');
+  server.handler.sendCursorSnapshots();
+  const { cursors } = await snapshot;
+  assert.deepStrictEqual([cursors.watcher.line, cursors.watcher.column], [4, 3]);
+});
+
+test('long memory backlogs stop at a cursor and go live once the client catches up', async (t) => {
+  const server = await startServer(t);
+  const start = server.memoryBus.append({ type: 'note', n: 0 });
+  const appended = [];
+  for (let n = 1; n <= 2100; n++) appended.push(server.memoryBus.append({ type: 'note', n }));
+  const viewer = server.connect({ type: 'observatory' });
+  await once(viewer, 'observatory:init');
+
+  const pages = [];
+  viewer.on('memory:backlog', page => pages.push(page));
+  const live = [];
+  viewer.on('memory:event', ({ event }) => live.push(event.n));
+
+  viewer.emit('memory:subscribe', { subscriptionId: 's1', types: ['note'], afterEventId: start.id });
+  await until(() => pages.length === 4);
+  assert.deepStrictEqual(pages.map(page => [page.events.length, page.done]), [[500, true], [500, true], [500, true], [500, false]]);
+  assert.strictEqual(pages[3].cursor, appended[1999].id);
+  server.memoryBus.append({ type: 'note', n: 'while-paging' });
+
+  viewer.emit('memory:subscribe', { subscriptionId: 's1', types: ['note'], afterEventId: pages[3].cursor });
+  await until(() => pages.length === 5);
+  assert.deepStrictEqual([pages[4].events.length, pages[4].done, pages[4].cursor], [101, true, undefined]);
+  assert.deepStrictEqual(pages[4].events.map(event => event.n).slice(-2), [2100, 'while-paging']);
+
+  server.memoryBus.append({ type: 'note', n: 'live' });
+  await until(() => live.length === 1);
+  assert.deepStrictEqual(live, ['live']);
+});
+
+test('joins, status updates and memory subscriptions are rate limited', async (t) => {
+  const quota = { capacity: 1, refillPerSec: 0 };
+  const server = await startServer(t, {
+    rateLimits: { events: { 'agent:join': quota, 'agent:status': quota, 'memory:subscribe': quota } }
+  });
+  const agent = await joinAgent(server.connect, 'agent-a');
+  const errors = [];
+  agent.on('error', error => errors.push([error.code, error.event]));
+
+  for (const [event, payload] of [
+    ['agent:join', { projectId: 'demo-project' }],
+    ['agent:status', { status: 'busy' }],
+    ['memory:subscribe', {}],
+    ['memory:subscribe', {}]
+  ]) {
+    agent.emit(event, payload);
+  }
+  await until(() => errors.length === 2);
+  assert.deepStrictEqual(errors, [['rate_limited', 'agent:join'], ['rate_limited', 'memory:subscribe']]);
+  assert.strictEqual(server.agentManager.getAgentById('agent-a').status, 'busy');
+});
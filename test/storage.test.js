@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryAdapter, FileSystemAdapter, createStorage } = require('../server/storage');
+
+const adapters = {
+  memory: () => new MemoryAdapter(),
+  file: (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hivemind-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new FileSystemAdapter(dir);
+  }
+};
+
+for (const [name, create] of Object.entries(adapters)) {
+  test(`${name} adapter stores, lists by key and deletes`, (t) => {
+    const storage = create(t);
+    storage.put('things', 'b', { n: 2 });
+    storage.put('things', 'a/with:chars', { n: 1 });
+    storage.put('other', 'a', { n: 3 });
+
+    assert.deepStrictEqual(storage.get('things', 'b'), { n: 2 });
+    assert.strictEqual(storage.get('things', 'missing'), undefined);
+    assert.deepStrictEqual(storage.list('things'), [{ n: 1 }, { n: 2 }]);
+
+    storage.delete('things', 'b');
+    assert.deepStrictEqual(storage.list('things'), [{ n: 1 }]);
+  });
+
+  test(`${name} adapter copies values in and out`, (t) => {
+    const storage = create(t);
+    const value = { tags: ['a'] };
+    storage.put('things', 'x', value);
+    value.tags.push('b');
+    storage.get('things', 'x').tags.push('c');
+    assert.deepStrictEqual(storage.get('things', 'x'), { tags: ['a'] });
+  });
+
+  test(`${name} adapter transactions read their own writes and apply together`, (t) => {
+    const storage = create(t);
+    storage.put('things', 'gone', { n: 0 });
+
+    const result = storage.transaction((tx) => {
+      tx.put('things', 'x', { n: 1 });
+      tx.delete('things', 'gone');
+      assert.deepStrictEqual(tx.get('things', 'x'), { n: 1 });
+      assert.deepStrictEqual(tx.list('things'), [{ n: 1 }]);
+      assert.strictEqual(storage.get('things', 'x'), undefined);
+      return 'done';
+    });
+
+    assert.strictEqual(result, 'done');
+    assert.deepStrictEqual(storage.list('things'), [{ n: 1 }]);
+  });
+
+  test(`${name} adapter discards a transaction that throws`, (t) => {
+    const storage = create(t);
+    assert.throws(() => storage.transaction((tx) => {
+      tx.put('things', 'x', { n: 1 });
+      throw new Error('abort');
+    }), /abort/);
+    assert.deepStrictEqual(storage.list('things'), []);
+  });
+}
+
+test('file adapter keeps records across instances', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hivemind-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  new FileSystemAdapter(dir).put('projects', 'p1', { id: 'p1' });
+  assert.deepStrictEqual(new FileSystemAdapter(dir).get('projects', 'p1'), { id: 'p1' });
+});
+
+test('file adapter hashes keys too long for a filename', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hivemind-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = new FileSystemAdapter(dir);
+  const long = `p1:docs/${'ü'.repeat(120)}.md@3`;
+  const other = `p1:docs/${'ü'.repeat(120)}.md@4`;
+
+  storage.put('revisions', long, { version: 3 });
+  storage.transaction((tx) => tx.put('revisions', other, { version: 4 }));
+  storage.put('revisions', 'short', { version: 1 });
+  assert.ok(fs.readdirSync(path.join(dir, 'revisions')).every(name => Buffer.byteLength(name) < 255));
+
+  const reopened = new FileSystemAdapter(dir);
+  assert.deepStrictEqual(reopened.get('revisions', long), { version: 3 });
+  assert.deepStrictEqual(reopened.entries('revisions').map(([key]) => key).sort(), [long, other, 'short'].sort());
+  reopened.delete('revisions', long);
+  assert.strictEqual(reopened.get('revisions', long), undefined);
+  assert.deepStrictEqual(reopened.list('revisions').map(record => record.version).sort(), [1, 4]);
+});
+
+test('createStorage picks the adapter from the environment', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hivemind-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  assert.ok(createStorage({}) instanceof MemoryAdapter);
+  assert.ok(createStorage({ STORAGE: 'file', DATA_DIR: dir }) instanceof FileSystemAdapter);
+  assert.ok(createStorage({ PROJECT_STORE: 'file', DATA_DIR: dir }) instanceof FileSystemAdapter);
+});
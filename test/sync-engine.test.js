@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SyncEngine = require('../server/sync-engine');
+const { RetentionManager } = require('../server/retention');
+const { MemoryAdapter } = require('../server/storage');
+
+const project = (id, content = 'x'.repeat(100)) => ({ id, files: { 'a.txt': { content } }, tasks: [] });
+const edit = (text) => ({ agentId: 'a', filePath: 'a.txt', ops: [{ type: 'insert', position: 0, text }] });
+
+test('a reconnecting agent gets only the operations it missed', () => {
+  const sync = new SyncEngine();
+  sync.applyOperation('p1', edit('one'));
+  sync.applyOperation('p1', edit('two'));
+  sync.applyOperation('p1', edit('three'));
+
+  const delta = sync.generateSyncDelta(project('p1'), 1);
+  assert.deepStrictEqual([delta.baseVersion, delta.version], [1, 3]);
+  assert.deepStrictEqual(delta.operations.map(op => op.ops[0].text), ['two', 'three']);
+  assert.deepStrictEqual(sync.generateSyncDelta(project('p1'), 3).operations, []);
+});
+
+test('a full snapshot is needed when the delta cannot be trusted or is too big', () => {
+  const retention = new RetentionManager(new MemoryAdapter(), { defaults: { operations: { maxCount: 2 } } });
+  const sync = new SyncEngine(new MemoryAdapter(), retention);
+  for (const text of ['one', 'two', 'three', 'four']) sync.applyOperation('p1', edit(text));
+
+  assert.strictEqual(sync.generateSyncDelta(project('p1'), 9), null, 'ahead of the project');
+  assert.strictEqual(sync.generateSyncDelta(project('p1'), 0), null, 'log trimmed past the base');
+  assert.notStrictEqual(sync.generateSyncDelta(project('p1'), 3), null);
+  assert.strictEqual(sync.generateSyncDelta(project('p1', 'ab'), 3), null, 'delta larger than the files');
+});
+
+test('versions persist while the op log starts empty after a restart', () => {
+  const storage = new MemoryAdapter();
+  const sync = new SyncEngine(storage);
+  sync.applyOperation('p1', edit('one'));
+  sync.applyOperation('p1', edit('two'));
+
+  const restarted = new SyncEngine(storage);
+  assert.strictEqual(restarted.getVersion('p1'), 2);
+  assert.strictEqual(restarted.generateSyncDelta(project('p1'), 1), null);
+  assert.deepStrictEqual(restarted.generateSyncDelta(project('p1'), 2).operations, []);
+});
+
+test('cursors and selections shift past text ops on their file', () => {
+  const sync = new SyncEngine();
+  const before = 'hello\nworld';
+  sync.updateCursor('p1', 'watcher', {
+    filePath: 'a.txt',
+    line: 1,
+    column: 2,
+    selection: { ranges: [{ start: { line: 0, column: 1 }, end: { line: 1, column: 3 } }] }
+  });
+  sync.updateCursor('p1', 'elsewhere', { filePath: 'b.txt', line: 1, column: 2 });
+  sync.updateCursor('p1', 'a', { filePath: 'a.txt', line: 1, column: 2 });
+
+  const ops = [{ type: 'insert', position: 0, text: 'top\n' }, { type: 'delete', position: 4, length: 2 }];
+  const operation = sync.applyOperation('p1', { agentId: 'a', filePath: 'a.txt', ops });
+  sync.transformCursors('p1', operation, before, 'top\nllo\nworld');
+
+  const cursors = sync.getCursors('p1');
+  assert.deepStrictEqual([cursors.watcher.line, cursors.watcher.column], [2, 2]);
+  assert.deepStrictEqual(cursors.watcher.selection.ranges, [{ start: { line: 1, column: 0 }, end: { line: 2, column: 3 } }]);
+  assert.deepStrictEqual([cursors.elsewhere.line, cursors.a.line], [1, 1]);
+});
+
+test('whole-content edits move cursors by line diff', () => {
+  const sync = new SyncEngine();
+  sync.updateCursor('p1', 'below', { filePath: 'a.txt', line: 3, column: 4 });
+  sync.updateCursor('p1', 'inside', { filePath: 'a.txt', line: 1, column: 9 });
+
+  const operation = sync.applyOperation('p1', { agentId: 'a', filePath: 'a.txt', content: 'new\none\nTWO!\nthree\nfour' });
+  sync.transformCursors('p1', operation, 'one\ntwo\nthree\nfour', 'new\none\nTWO!\nthree\nfour');
+
+  const cursors = sync.getCursors('p1');
+  assert.deepStrictEqual([cursors.below.line, cursors.below.column], [4, 4]);
+  assert.deepStrictEqual([cursors.inside.line, cursors.inside.column], [2, 4]);
+});
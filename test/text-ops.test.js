@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { applyOps, transformOps, replaceOps } = require('../sdk/lib/text-ops');
+const SyncEngine = require('../server/sync-engine');
+
+const apply = (text, ops) => {
+  const result = applyOps(text, ops);
+  assert.ok(!result.error, result.error && result.error.message);
+  return result.content;
+};
+
+// Small deterministic PRNG so failures reproduce
+function random(seed) {
+  let state = seed;
+  return (n) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state % n;
+  };
+}
+
+function randomOps(next, text) {
+  const ops = [];
+  let length = text.length;
+  for (let i = next(3) + 1; i > 0; i--) {
+    if (length > 0 && next(2)) {
+      const position = next(length);
+      const count = next(length - position) + 1;
+      ops.push({ type: 'delete', position, length: count });
+      length -= count;
+    } else {
+      const inserted = 'xyz'.slice(0, next(3) + 1);
+      ops.push({ type: 'insert', position: next(length + 1), text: inserted });
+      length += inserted.length;
+    }
+  }
+  return ops;
+}
+
+test('applyOps applies in order and rejects out-of-range ops', () => {
+  assert.strictEqual(apply('hello', [{ type: 'delete', position: 0, length: 1 }, { type: 'insert', position: 0, text: 'J' }]), 'Jello');
+  assert.strictEqual(applyOps('abc', [{ type: 'insert', position: 4, text: 'x' }]).error.code, 'invalid_ops');
+  assert.strictEqual(applyOps('abc', [{ type: 'delete', position: 2, length: 2 }]).error.code, 'invalid_ops');
+});
+
+test('concurrent edits converge in either order', () => {
+  const next = random(42);
+  for (let i = 0; i < 500; i++) {
+    const base = 'abcdefgh'.slice(0, next(9));
+    const a = randomOps(next, base);
+    const b = randomOps(next, base);
+    const [aPrime, bPrime] = transformOps(a, b);
+    assert.strictEqual(apply(apply(base, b), aPrime), apply(apply(base, a), bPrime), JSON.stringify({ base, a, b }));
+  }
+});
+
+test('inserts at the same position put the second side first', () => {
+  const [aPrime] = transformOps([{ type: 'insert', position: 1, text: 'A' }], [{ type: 'insert', position: 1, text: 'B' }]);
+  assert.strictEqual(apply('ab', [{ type: 'insert', position: 1, text: 'B' }].concat(aPrime)), 'aBAb');
+});
+
+test('an insert inside a concurrently deleted range survives', () => {
+  const base = 'abcdef';
+  const ins = [{ type: 'insert', position: 3, text: 'X' }];
+  const del = [{ type: 'delete', position: 1, length: 4 }];
+  const [insPrime] = transformOps(ins, del);
+  assert.strictEqual(apply(apply(base, del), insPrime), 'aXf');
+});
+
+test('replaceOps turns one text into another', () => {
+  for (const [from, to] of [['abc', 'abc'], ['', 'new'], ['old', ''], ['hello world', 'hello there world']]) {
+    assert.strictEqual(apply(from, replaceOps(from, to)), to);
+  }
+  assert.deepStrictEqual(replaceOps('same', 'same'), []);
+});
+
+test('the sync engine rebases ops over edits logged since their base', () => {
+  const sync = new SyncEngine();
+  sync.applyOperation('p1', { agentId: 'a', filePath: 'f.txt', ops: [{ type: 'insert', position: 0, text: '>> ' }] });
+  sync.applyOperation('p1', { agentId: 'a', filePath: 'other.txt', content: 'x' });
+
+  const { ops } = sync.rebase('p1', 'f.txt', [{ type: 'insert', position: 5, text: '!' }], 0);
+  assert.strictEqual(apply('>> hello', ops), '>> hello!');
+  assert.strictEqual(sync.rebase('p1', 'f.txt', [], 9).error.code, 'invalid_base_version');
+
+  sync.applyOperation('p1', { agentId: 'a', filePath: 'f.txt', content: 'replaced' });
+  assert.strictEqual(sync.rebase('p1', 'f.txt', [], 0).error.code, 'stale_base');
+});